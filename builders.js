@@ -0,0 +1,203 @@
+// builders.js — surfaces built from curves: a profile revolved about an
+// axis, swept along a path or lofted into a second profile, optionally
+// twisted and scaled along the way. The result is a set of Cartesian
+// x(u, v), y(u, v), z(u, v) expressions (u runs along the profile, v along
+// the construction) that can be edited like any typed surface.
+
+import {
+  compileAst,
+  differentiate,
+  formatExpression,
+  parseExpression,
+  simplify,
+  substitute,
+} from "./expr.js";
+import { compileField } from "./mesher.js";
+
+// second: what the second curve is, if the builder takes one
+const BUILDERS = {
+  revolve: { label: "Revolve profile about an axis", second: null },
+  sweep: { label: "Sweep profile along a path", second: "Path" },
+  loft: { label: "Loft between two profiles", second: "End profile" },
+};
+
+// revolution of (r, h) = (R, H) about each axis, turned by v
+const REVOLVE_TEMPLATES = {
+  x: { x: "H", y: "R * cos(v)", z: "R * sin(v)" },
+  y: { x: "R * sin(v)", y: "H", z: "R * cos(v)" },
+  z: { x: "R * cos(v)", y: "R * sin(v)", z: "H" },
+};
+
+// Profile point (X, Y) carried by the frame N = (−D_y, D_x, 0) / h,
+// B = T × N, T = D / l of the path C with tangent D, where h = |(D_x, D_y)|,
+// l = |D| and r = h / l. N stays square to the z axis, so the tangent must keep away
+// from it; paths that run along z are swept about another axis instead.
+const SWEEP_TEMPLATE = {
+  x: "CX - X * DY / h - Y * DZ * DX / (h * l)",
+  y: "CY + X * DX / h - Y * DZ * DY / (h * l)",
+  z: "CZ + Y * r",
+};
+
+// Reference axes of the sweep frame, as the order of the path coordinates
+// that makes the axis play z in SWEEP_TEMPLATE (cyclic, so the frame keeps
+// its handedness). z is tried first.
+const SWEEP_AXES = { z: [0, 1, 2], x: [1, 2, 0], y: [2, 0, 1] };
+
+// path samples checked when picking the axis, and the smallest sine of the
+// angle between the tangent and the axis that keeps the frame steady
+const SWEEP_SAMPLES = 512;
+const SWEEP_MIN_SINE = 0.02;
+
+// (X, Y) turned by A and scaled by S, the twist and scale at position T
+// in [0, 1] along the construction; left out where they do nothing
+const TWIST_TEMPLATE = { X: "X * cos(A) - Y * sin(A)", Y: "X * sin(A) + Y * cos(A)" };
+
+const ast = (text, bindings = {}) => simplify(substitute(parseExpression(text), bindings));
+
+function twistAndScale(point, position, twist, scale) {
+  let { X, Y } = point;
+  if (twist !== 0) {
+    const A = ast(`${(twist * Math.PI) / 180} * T`, { T: position });
+    X = ast(TWIST_TEMPLATE.X, { X: point.X, Y: point.Y, A });
+    Y = ast(TWIST_TEMPLATE.Y, { X: point.X, Y: point.Y, A });
+  }
+  if (scale !== 1) {
+    const S = ast(`1 ${scale < 1 ? "-" : "+"} ${Math.abs(scale - 1)} * T`, { T: position });
+    X = ast("S * X", { S, X });
+    Y = ast("S * Y", { S, Y });
+  }
+  return { X, Y };
+}
+
+// 0..1 along v for v in [lo, hi] (bound ASTs)
+function position(lo, hi) {
+  if (lo.type === "num" && lo.value === 0) return ast("v / H", { H: hi });
+  return ast("(v - L) / (H - L)", { L: lo, H: hi });
+}
+
+// The reference axis for sweeping along a path with tangent D (ASTs in v)
+// over [vMin, vMax]: z unless the tangent comes close to running along it,
+// else whichever of x and y the tangent stays furthest from. Throws when
+// the tangent vanishes or comes close to every axis, where the frame would
+// be undefined or flip over.
+function sweepAxis(D, scope, vMin, vMax) {
+  const [fx, fy, fz] = D.map((d) => compileAst(d, ["v", ...Object.keys(scope)]));
+  const s = { ...scope };
+  const closest = { z: 1, x: 1, y: 1 };
+  for (let i = 0; i <= SWEEP_SAMPLES; i++) {
+    s.v = vMin + ((vMax - vMin) * i) / SWEEP_SAMPLES;
+    const dx = fx(s);
+    const dy = fy(s);
+    const dz = fz(s);
+    const l = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!Number.isFinite(l)) continue;
+    if (l === 0) {
+      throw new Error(`Path: the tangent vanishes at u = ${Number(s.v.toPrecision(6))}.`);
+    }
+    // sine of the angle to each axis: |axis × D| / |D|
+    closest.z = Math.min(closest.z, Math.sqrt(dx * dx + dy * dy) / l);
+    closest.x = Math.min(closest.x, Math.sqrt(dy * dy + dz * dz) / l);
+    closest.y = Math.min(closest.y, Math.sqrt(dz * dz + dx * dx) / l);
+  }
+  if (closest.z >= SWEEP_MIN_SINE) return "z";
+  const axis = closest.x >= closest.y ? "x" : "y";
+  if (closest[axis] < SWEEP_MIN_SINE) {
+    throw new Error(
+      "Path: its direction comes too close to each of the x, y and z axes for a " +
+        "steady profile frame. Sweep it in pieces."
+    );
+  }
+  return axis;
+}
+
+// Cartesian fields for a builder. `options`:
+//   kind             — key of BUILDERS
+//   profile          — { x, y, uMin, uMax }: the profile (x(u), y(u)); for
+//                      a revolution x is the distance from the axis
+//   second           — the path { x, y, z, uMin, uMax } of a sweep, or the
+//                      end profile { x, y } of a loft
+//   axis, angle      — revolution axis ("x" / "y" / "z") and angle
+//   twist, scale     — profile turn (degrees) and size at the end of a
+//                      sweep or loft
+//   height           — distance between the profiles of a loft
+// `scope` holds the other names the curves may use (t, parameters) and
+// their current values, which a sweep samples its path with.
+// Returns { x, y, z, uMin, uMax, vMin, vMax }.
+function builderFields(options, scope = {}) {
+  const { kind, profile, second } = options;
+  const extra = Object.keys(scope);
+  const variables = ["u", ...extra];
+  const curve = (label, src, names = variables) => compileField(label, src, names).ast;
+  const format = (template, bindings) => formatExpression(ast(template, bindings));
+
+  const point = { X: curve("Profile x(u)", profile.x), Y: curve("Profile y(u)", profile.y) };
+  const bounds = { uMin: profile.uMin, uMax: profile.uMax };
+
+  if (kind === "revolve") {
+    const template = REVOLVE_TEMPLATES[options.axis];
+    const bindings = { R: point.X, H: point.Y };
+    return {
+      x: format(template.x, bindings),
+      y: format(template.y, bindings),
+      z: format(template.z, bindings),
+      ...bounds,
+      vMin: "0",
+      vMax: options.angle,
+    };
+  }
+
+  if (kind === "sweep") {
+    // the path runs along v
+    const toV = { u: { type: "var", name: "v" } };
+    const paths = ["x", "y", "z"].map((axis) =>
+      substitute(curve(`Path ${axis}(u)`, second[axis]), toV)
+    );
+    const tangents = paths.map((c) => differentiate(c, "v"));
+    const lo = compileField("Path u min", second.uMin, extra);
+    const hi = compileField("Path u max", second.uMax, extra);
+    const order = SWEEP_AXES[sweepAxis(tangents, scope, lo(scope), hi(scope))];
+
+    const [CX, CY, CZ] = order.map((k) => paths[k]);
+    const [DX, DY, DZ] = order.map((k) => tangents[k]);
+    const h = ast("sqrt(DX^2 + DY^2)", { DX, DY });
+    const l = ast("sqrt(DX^2 + DY^2 + DZ^2)", { DX, DY, DZ });
+    // a path in the plane square to the axis has l = h
+    const r = DZ.type === "num" && DZ.value === 0 ? ast("1") : ast("h / l", { h, l });
+    const { X, Y } = twistAndScale(point, position(lo.ast, hi.ast), options.twist, options.scale);
+    const bindings = { CX, CY, CZ, DX, DY, DZ, h, l, r, X, Y };
+    // the template's x, y and z are the path coordinates in `order`
+    const fields = {};
+    ["x", "y", "z"].forEach((axis, i) => {
+      fields["xyz"[order[i]]] = format(SWEEP_TEMPLATE[axis], bindings);
+    });
+    return {
+      ...fields,
+      ...bounds,
+      vMin: second.uMin,
+      vMax: second.uMax,
+    };
+  }
+
+  // loft: blend the profiles, raised from z = 0 to the height
+  const end = {
+    X: curve("End profile x(u)", second.x),
+    Y: curve("End profile y(u)", second.y),
+  };
+  const blend = (a, b) => ast("(1 - v) * A + v * B", { A: a, B: b });
+  const { X, Y } = twistAndScale(
+    { X: blend(point.X, end.X), Y: blend(point.Y, end.Y) },
+    { type: "var", name: "v" },
+    options.twist,
+    options.scale
+  );
+  return {
+    x: formatExpression(X),
+    y: formatExpression(Y),
+    z: format(`${options.height} * v`),
+    ...bounds,
+    vMin: "0",
+    vMax: "1",
+  };
+}
+
+export { BUILDERS, builderFields };
@@ -0,0 +1,78 @@
+// colormap.js — colormaps for per-vertex surface coloring. Each map is a
+// list of evenly spaced sRGB stops, linearly interpolated.
+
+const COLORMAPS = {
+  viridis: {
+    label: "Viridis",
+    stops: [
+      "#440154", "#482878", "#3e4989", "#31688e", "#26828e",
+      "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725",
+    ],
+  },
+  plasma: {
+    label: "Plasma",
+    stops: [
+      "#0d0887", "#46039f", "#7201a8", "#9c179e", "#bd3786",
+      "#d8576b", "#ed7953", "#fb9f3a", "#fdca26", "#f0f921",
+    ],
+  },
+  diverging: {
+    label: "Diverging (blue–red)",
+    diverging: true,
+    stops: [
+      "#3b4cc0", "#6788ee", "#9abbff", "#c9d7f0",
+      "#edd1c2", "#f7a889", "#e26952", "#b40426",
+    ],
+  },
+  cyclic: {
+    label: "Cyclic",
+    cyclic: true,
+    stops: [
+      "#e2d9e2", "#9ebbc9", "#6785be", "#5e43a5", "#421e4f",
+      "#6d2140", "#ac5042", "#d19a7b", "#e2d9e2",
+    ],
+  },
+};
+
+const parsedStops = {};
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+function getStops(name) {
+  if (!parsedStops[name]) {
+    const map = COLORMAPS[name] || COLORMAPS.viridis;
+    parsedStops[name] = map.stops.map(hexToRgb);
+  }
+  return parsedStops[name];
+}
+
+// sRGB color [r, g, b] (0..1) for t in [0, 1]; cyclic maps wrap t
+function sampleColormap(name, t, out = [0, 0, 0]) {
+  const stops = getStops(name);
+  const map = COLORMAPS[name] || COLORMAPS.viridis;
+
+  if (!Number.isFinite(t)) t = 0;
+  if (map.cyclic) t = t - Math.floor(t);
+  else t = Math.min(1, Math.max(0, t));
+
+  const x = t * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  const a = stops[i];
+  const b = stops[i + 1];
+  out[0] = a[0] + (b[0] - a[0]) * f;
+  out[1] = a[1] + (b[1] - a[1]) * f;
+  out[2] = a[2] + (b[2] - a[2]) * f;
+  return out;
+}
+
+// CSS gradient for legends
+function colormapGradient(name, direction = "to right") {
+  const map = COLORMAPS[name] || COLORMAPS.viridis;
+  return `linear-gradient(${direction}, ${map.stops.join(", ")})`;
+}
+
+export { COLORMAPS, sampleColormap, colormapGradient };
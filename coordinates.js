@@ -0,0 +1,78 @@
+// coordinates.js — surfaces written in other coordinate systems. Each mode
+// rewrites its inputs as Cartesian x(u, v), y(u, v), z(u, v) expressions,
+// so they go through the parametric pipeline unchanged.
+
+import { formatExpression, parseExpression, substitute } from "./expr.js";
+import { compileField } from "./mesher.js";
+
+// Per mode:
+//   u, v      — what the u and v bounds stand for (labels)
+//   inputs    — editor slot (x / y / z) → name of the expression typed there
+//   variables — names the inputs may use → the parameter they become
+//   cartesian — templates for x, y, z; X and Z stand for the x and z inputs
+const COORDINATE_MODES = {
+  graph: {
+    label: "Graph z = f(x, y)",
+    u: "x",
+    v: "y",
+    inputs: { z: "f(x, y)" },
+    variables: { x: "u", y: "v" },
+    cartesian: { x: "u", y: "v", z: "Z" },
+  },
+  cylindrical: {
+    label: "Cylindrical r(θ, z)",
+    u: "θ",
+    v: "z",
+    inputs: { x: "r(θ, z)" },
+    variables: { θ: "u", theta: "u", z: "v" },
+    cartesian: { x: "X * cos(u)", y: "X * sin(u)", z: "v" },
+  },
+  spherical: {
+    // θ is the azimuth, φ the polar angle measured from +z
+    label: "Spherical ρ(θ, φ)",
+    u: "θ",
+    v: "φ",
+    inputs: { x: "ρ(θ, φ)" },
+    variables: { θ: "u", theta: "u", φ: "v", phi: "v" },
+    cartesian: {
+      x: "X * sin(v) * cos(u)",
+      y: "X * sin(v) * sin(u)",
+      z: "X * cos(v)",
+    },
+  },
+  revolution: {
+    // profile (r(u), z(u)) in a half-plane, turned about the z axis by v
+    label: "Revolution of r(u), z(u)",
+    u: "u",
+    v: "θ",
+    inputs: { x: "r(u)", z: "z(u)" },
+    variables: { u: "u" },
+    cartesian: { x: "X * cos(v)", y: "X * sin(v)", z: "Z" },
+  },
+};
+
+// Cartesian { x, y, z } sources for a spec in one of COORDINATE_MODES.
+// Inputs are checked against the mode's own variables (plus `extra`, e.g.
+// t and parameters) so errors point into the text the user typed.
+function cartesianFields(spec, extra = []) {
+  const mode = COORDINATE_MODES[spec.mode];
+  const allowed = [...Object.keys(mode.variables), ...extra];
+  const renames = {};
+  Object.entries(mode.variables).forEach(([name, parameter]) => {
+    renames[name] = { type: "var", name: parameter };
+  });
+
+  const placeholders = {};
+  Object.entries(mode.inputs).forEach(([slot, name]) => {
+    const field = compileField(name, spec[slot], allowed);
+    placeholders[slot.toUpperCase()] = substitute(field.ast, renames);
+  });
+
+  const out = {};
+  Object.entries(mode.cartesian).forEach(([axis, template]) => {
+    out[axis] = formatExpression(substitute(parseExpression(template), placeholders));
+  });
+  return out;
+}
+
+export { COORDINATE_MODES, cartesianFields };
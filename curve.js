@@ -0,0 +1,234 @@
+// curve.js — space curves r(u): sampling with Frenet quantities, tube
+// frames (Frenet or rotation-minimizing) and the tube / line meshes drawn
+// around them.
+
+import { cross, dot } from "./diffgeo.js";
+
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+
+const read = (array, i) => [array[i * 3], array[i * 3 + 1], array[i * 3 + 2]];
+
+const write = (array, i, a) => {
+  array[i * 3] = a[0];
+  array[i * 3 + 1] = a[1];
+  array[i * 3 + 2] = a[2];
+};
+
+// mirror image of `a` in the plane with normal `v` (c = v · v)
+const reflect = (a, v, c) => {
+  const f = (2 / c) * dot(v, a);
+  return [a[0] - f * v[0], a[1] - f * v[1], a[2] - f * v[2]];
+};
+
+// unit vector perpendicular to `t`
+function perpendicular(t) {
+  const axis = Math.abs(t[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  const p = cross(t, axis);
+  return scale(p, 1 / Math.sqrt(dot(p, p)));
+}
+
+// Frenet frame, curvature and torsion from r', r'' and r''' at one point.
+// Where r' × r'' vanishes (straight pieces, inflections) N and B are
+// undefined: `degenerate` is set, curvature is 0 and torsion NaN.
+function frenetFrame(d1, d2, d3) {
+  const speed = Math.sqrt(dot(d1, d1));
+  const c = cross(d1, d2);
+  const cl = Math.sqrt(dot(c, c));
+  const T = scale(d1, 1 / speed);
+  const degenerate = !(cl > 1e-10 * speed * speed);
+  if (degenerate) {
+    return { T, N: null, B: null, curvature: 0, torsion: NaN, speed, degenerate };
+  }
+  const B = scale(c, 1 / cl);
+  return {
+    T,
+    N: cross(B, T),
+    B,
+    curvature: cl / (speed * speed * speed),
+    torsion: dot(c, d3) / (cl * cl),
+    speed,
+    degenerate,
+  };
+}
+
+// Sample the curve at steps + 1 evenly spaced u. `fields` holds compiled
+// [x, y, z] fields for r and its first three u-derivatives:
+// { r, d1, d2, d3 }. Samples with a non-finite point or a zero tangent are
+// marked invalid.
+function sampleCurve(fields, scope, uMin, uMax, steps) {
+  const n = steps + 1;
+  const s = { ...scope };
+  const samples = {
+    count: n,
+    u: new Float64Array(n),
+    points: new Float64Array(n * 3),
+    tangents: new Float64Array(n * 3),
+    normals: new Float64Array(n * 3),
+    binormals: new Float64Array(n * 3),
+    curvature: new Float64Array(n),
+    torsion: new Float64Array(n),
+    speed: new Float64Array(n),
+    frenet: new Uint8Array(n),
+    valid: new Uint8Array(n),
+    invalidCount: 0,
+  };
+  const at = (field) => field.map((f) => f(s));
+
+  for (let i = 0; i < n; i++) {
+    const u = uMin + ((uMax - uMin) * i) / steps;
+    s.u = u;
+    samples.u[i] = u;
+
+    const p = at(fields.r);
+    const f = frenetFrame(at(fields.d1), at(fields.d2), at(fields.d3));
+    const ok = p.every(Number.isFinite) && f.speed > 0 && Number.isFinite(f.speed);
+    samples.valid[i] = ok ? 1 : 0;
+    if (!ok) {
+      samples.invalidCount++;
+      samples.curvature[i] = NaN;
+      samples.torsion[i] = NaN;
+      continue;
+    }
+
+    write(samples.points, i, p);
+    write(samples.tangents, i, f.T);
+    samples.curvature[i] = f.curvature;
+    samples.torsion[i] = f.torsion;
+    samples.speed[i] = f.speed;
+    if (!f.degenerate) {
+      write(samples.normals, i, f.N);
+      write(samples.binormals, i, f.B);
+      samples.frenet[i] = 1;
+    }
+  }
+  return samples;
+}
+
+// Normal/binormal pairs to sweep the tube along:
+//   "frenet" — the Frenet N and B, carried over degenerate stretches;
+//   "rmf"    — a rotation-minimizing frame by the double reflection method
+//              (Wang et al., 2008); on closed curves the leftover twist is
+//              spread evenly so the tube's seam lines up.
+// Returns { normals, binormals } (Float64Array, 3 per sample).
+function tubeFrames(samples, type = "rmf") {
+  const { count, points, tangents, valid, frenet } = samples;
+  const normals = new Float64Array(count * 3);
+  const binormals = new Float64Array(count * 3);
+
+  let prev = -1;
+  let first = -1;
+  for (let i = 0; i < count; i++) {
+    if (!valid[i]) continue;
+    const t = read(tangents, i);
+    let r;
+
+    if (type === "frenet" && frenet[i]) {
+      r = read(samples.normals, i);
+    } else if (prev < 0) {
+      const k = frenet.findIndex((f, j) => f && valid[j]);
+      r = k >= 0 ? read(samples.normals, k) : perpendicular(t);
+      // make it perpendicular to this tangent
+      r = cross(cross(t, r), t);
+      const len = Math.sqrt(dot(r, r));
+      r = len > 1e-9 ? scale(r, 1 / len) : perpendicular(t);
+    } else {
+      // reflect the previous frame across the bisecting plane of the
+      // chord, then across the one between the tangents
+      const x0 = read(points, prev);
+      const x1 = read(points, i);
+      const t0 = read(tangents, prev);
+      const r0 = read(normals, prev);
+      const v1 = [x1[0] - x0[0], x1[1] - x0[1], x1[2] - x0[2]];
+      const c1 = dot(v1, v1);
+      const rL = c1 > 0 ? reflect(r0, v1, c1) : r0;
+      const tL = c1 > 0 ? reflect(t0, v1, c1) : t0;
+      const v2 = [t[0] - tL[0], t[1] - tL[1], t[2] - tL[2]];
+      const c2 = dot(v2, v2);
+      r = c2 > 0 ? reflect(rL, v2, c2) : rL;
+    }
+
+    write(normals, i, r);
+    write(binormals, i, cross(t, r));
+    if (first < 0) first = i;
+    prev = i;
+  }
+
+  // closed curve: rotate frame i by a growing share of the mismatch angle
+  if (type === "rmf" && first === 0 && prev === count - 1 && count > 2) {
+    const p0 = read(points, 0);
+    const pn = read(points, count - 1);
+    const gap = Math.hypot(p0[0] - pn[0], p0[1] - pn[1], p0[2] - pn[2]);
+    const closed =
+      gap < 1e-6 * (1 + Math.sqrt(dot(p0, p0))) &&
+      dot(read(tangents, 0), read(tangents, count - 1)) > 0.999;
+    if (closed) {
+      const n0 = read(normals, 0);
+      const nn = read(normals, count - 1);
+      const tn = read(tangents, count - 1);
+      const angle = Math.atan2(dot(cross(nn, n0), tn), dot(nn, n0));
+      for (let i = 1; i < count; i++) {
+        const phi = (angle * i) / (count - 1);
+        const n = read(normals, i);
+        const b = read(binormals, i);
+        const c = Math.cos(phi);
+        const s = Math.sin(phi);
+        write(normals, i, [0, 1, 2].map((k) => n[k] * c + b[k] * s));
+        write(binormals, i, [0, 1, 2].map((k) => b[k] * c - n[k] * s));
+      }
+    }
+  }
+  return { normals, binormals };
+}
+
+// Tube of the given radius: a ring of `sides` + 1 vertices per sample (the
+// last repeats the first for the texture seam), with quads between
+// consecutive valid samples. Returns { positions, normals, uvs, indices }.
+function tubeMesh(samples, frames, radius, sides = 16) {
+  const { count, points, valid } = samples;
+  const ring = sides + 1;
+  const positions = new Float32Array(count * ring * 3);
+  const normals = new Float32Array(count * ring * 3);
+  const uvs = new Float32Array(count * ring * 2);
+
+  for (let i = 0; i < count; i++) {
+    if (!valid[i]) continue;
+    const p = read(points, i);
+    const n = read(frames.normals, i);
+    const b = read(frames.binormals, i);
+    for (let k = 0; k < ring; k++) {
+      const theta = (2 * Math.PI * k) / sides;
+      const c = Math.cos(theta);
+      const s = Math.sin(theta);
+      const dir = [0, 1, 2].map((j) => n[j] * c + b[j] * s);
+      const v = i * ring + k;
+      write(normals, v, dir);
+      write(positions, v, dir.map((d, j) => p[j] + radius * d));
+      uvs[v * 2] = i / (count - 1);
+      uvs[v * 2 + 1] = k / sides;
+    }
+  }
+
+  const indices = [];
+  for (let i = 0; i + 1 < count; i++) {
+    if (!valid[i] || !valid[i + 1]) continue;
+    for (let k = 0; k < sides; k++) {
+      const a = i * ring + k;
+      const b = (i + 1) * ring + k;
+      indices.push(a, a + 1, b, b, a + 1, b + 1);
+    }
+  }
+  return { positions, normals, uvs, indices: Uint32Array.from(indices) };
+}
+
+// Line segments between consecutive valid samples:
+// { positions, indices } for indexed line segments
+function lineMesh(samples) {
+  const { count, points, valid } = samples;
+  const indices = [];
+  for (let i = 0; i + 1 < count; i++) {
+    if (valid[i] && valid[i + 1]) indices.push(i, i + 1);
+  }
+  return { positions: Float32Array.from(points), indices: Uint32Array.from(indices) };
+}
+
+export { frenetFrame, sampleCurve, tubeFrames, tubeMesh, lineMesh };
@@ -0,0 +1,232 @@
+// diffgeo.js — differential geometry of a parametric surface r(u, v),
+// evaluated pointwise from the compiled x/y/z functions.
+
+import { compileAst, differentiate } from "./expr.js";
+
+// ∂f/∂name of a compiled field. Differentiated symbolically when `f` carries
+// its AST (f.ast) and every function in it has a derivative rule; otherwise
+// a central difference with step h. The result is a compiled field too, with
+// .symbolic, .ast (null for differences) and .reason (why it fell back).
+function partialDerivative(f, name, h, variables) {
+  let reason = f.ast ? null : "no expression";
+  if (f.ast) {
+    try {
+      const ast = differentiate(f.ast, name);
+      const df = compileAst(ast, variables);
+      df.ast = ast;
+      df.symbolic = true;
+      return df;
+    } catch (e) {
+      reason = e.message;
+    }
+  }
+
+  const df = (s) => {
+    const x = s[name];
+    s[name] = x + h;
+    const a = f(s);
+    s[name] = x - h;
+    const b = f(s);
+    s[name] = x;
+    return (a - b) / (2 * h);
+  };
+  df.ast = null;
+  df.symbolic = false;
+  df.reason = reason;
+  return df;
+}
+
+// Derivatives by central differences. `evalPoint(u, v, out)` writes r(u, v)
+// into out[0..2]; hu / hv are the step sizes.
+function finiteDifferences(evalPoint, u, v, hu, hv) {
+  const p = [0, 0, 0];
+  const pu1 = [0, 0, 0];
+  const pu0 = [0, 0, 0];
+  const pv1 = [0, 0, 0];
+  const pv0 = [0, 0, 0];
+  const p11 = [0, 0, 0];
+  const p10 = [0, 0, 0];
+  const p01 = [0, 0, 0];
+  const p00 = [0, 0, 0];
+
+  evalPoint(u, v, p);
+  evalPoint(u + hu, v, pu1);
+  evalPoint(u - hu, v, pu0);
+  evalPoint(u, v + hv, pv1);
+  evalPoint(u, v - hv, pv0);
+  evalPoint(u + hu, v + hv, p11);
+  evalPoint(u + hu, v - hv, p10);
+  evalPoint(u - hu, v + hv, p01);
+  evalPoint(u - hu, v - hv, p00);
+
+  const ru = [0, 0, 0];
+  const rv = [0, 0, 0];
+  const ruu = [0, 0, 0];
+  const ruv = [0, 0, 0];
+  const rvv = [0, 0, 0];
+  for (let k = 0; k < 3; k++) {
+    ru[k] = (pu1[k] - pu0[k]) / (2 * hu);
+    rv[k] = (pv1[k] - pv0[k]) / (2 * hv);
+    ruu[k] = (pu1[k] - 2 * p[k] + pu0[k]) / (hu * hu);
+    rvv[k] = (pv1[k] - 2 * p[k] + pv0[k]) / (hv * hv);
+    ruv[k] = (p11[k] - p10[k] - p01[k] + p00[k]) / (4 * hu * hv);
+  }
+  return { point: p, ru, rv, ruu, ruv, rvv };
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+const normalize = (a) => {
+  const len = Math.sqrt(dot(a, a));
+  return len > 0 ? [a[0] / len, a[1] / len, a[2] / len] : [0, 0, 0];
+};
+
+// First/second fundamental forms, Gaussian/mean/principal curvatures and
+// principal directions from the derivatives at one point. A point is
+// degenerate when r_u × r_v (nearly) vanishes, e.g. at a sphere's poles;
+// its curvatures are NaN.
+function analyzePoint({ ru, rv, ruu, ruv, rvv }) {
+  const E = dot(ru, ru);
+  const F = dot(ru, rv);
+  const G = dot(rv, rv);
+  const cr = cross(ru, rv);
+  const area = Math.sqrt(dot(cr, cr));
+  const det = E * G - F * F;
+
+  const result = {
+    E, F, G,
+    L: NaN, M: NaN, N: NaN,
+    K: NaN, H: NaN, k1: NaN, k2: NaN,
+    normal: [0, 0, 0],
+    d1: [0, 0, 0],
+    d2: [0, 0, 0],
+    area,
+    degenerate: !(area > 1e-9 * Math.max(E, G)) || !(det > 0),
+  };
+  if (result.degenerate) return result;
+
+  const n = [cr[0] / area, cr[1] / area, cr[2] / area];
+  const L = dot(ruu, n);
+  const M = dot(ruv, n);
+  const N = dot(rvv, n);
+  const K = (L * N - M * M) / det;
+  const H = (E * N - 2 * F * M + G * L) / (2 * det);
+  const disc = Math.sqrt(Math.max(0, H * H - K));
+
+  Object.assign(result, { L, M, N, K, H, k1: H + disc, k2: H - disc, normal: n });
+
+  // principal directions: (a, b) in the (r_u, r_v) basis solving
+  // (II - k I)(a, b) = 0; at umbilics any tangent direction will do
+  const direction = (k) => {
+    const r1 = [L - k * E, M - k * F];
+    const r2 = [M - k * F, N - k * G];
+    const row = Math.hypot(...r1) >= Math.hypot(...r2) ? r1 : r2;
+    if (Math.hypot(...row) < 1e-12 * Math.max(Math.abs(k), 1)) return null;
+    const a = -row[1];
+    const b = row[0];
+    return normalize([
+      a * ru[0] + b * rv[0],
+      a * ru[1] + b * rv[1],
+      a * ru[2] + b * rv[2],
+    ]);
+  };
+
+  const d1 = disc > 1e-9 * Math.max(Math.abs(H), 1) ? direction(result.k1) : null;
+  result.d1 = d1 || normalize(ru);
+  result.d2 = normalize(cross(n, result.d1));
+  return result;
+}
+
+// Analyze every vertex of a mesh given its raw (u, v) pairs in `coords`.
+// `derivatives(u, v)` returns { ru, rv, ruu, ruv, rvv }.
+function analyzeSurface(derivatives, coords) {
+  const count = coords.length / 2;
+  const out = {
+    E: new Float32Array(count),
+    F: new Float32Array(count),
+    G: new Float32Array(count),
+    L: new Float32Array(count),
+    M: new Float32Array(count),
+    N: new Float32Array(count),
+    K: new Float32Array(count),
+    H: new Float32Array(count),
+    k1: new Float32Array(count),
+    k2: new Float32Array(count),
+    area: new Float32Array(count),
+    d1: new Float32Array(count * 3),
+    d2: new Float32Array(count * 3),
+    degenerate: new Uint8Array(count),
+  };
+
+  for (let i = 0; i < count; i++) {
+    const p = analyzePoint(derivatives(coords[i * 2], coords[i * 2 + 1]));
+    for (const key of ["E", "F", "G", "L", "M", "N", "K", "H", "k1", "k2", "area"]) {
+      out[key][i] = p[key];
+    }
+    for (let k = 0; k < 3; k++) {
+      out.d1[i * 3 + k] = p.d1[k];
+      out.d2[i * 3 + k] = p.d2[k];
+    }
+    out.degenerate[i] = p.degenerate ? 1 : 0;
+  }
+  return out;
+}
+
+// ∫ f dA over a triangulated parameter domain: each triangle contributes
+// its (u, v) area times the mean of f·|r_u × r_v| at its corners.
+// Non-finite samples (degenerate points) contribute nothing.
+function integrateOverSurface(coords, indices, values, area) {
+  let total = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const a = indices[t];
+    const b = indices[t + 1];
+    const c = indices[t + 2];
+    const du1 = coords[b * 2] - coords[a * 2];
+    const dv1 = coords[b * 2 + 1] - coords[a * 2 + 1];
+    const du2 = coords[c * 2] - coords[a * 2];
+    const dv2 = coords[c * 2 + 1] - coords[a * 2 + 1];
+    const paramArea = Math.abs(du1 * dv2 - du2 * dv1) / 2;
+
+    let sum = 0;
+    for (const i of [a, b, c]) {
+      const f = values ? values[i] * area[i] : area[i];
+      if (Number.isFinite(f)) sum += f;
+    }
+    total += (paramArea * sum) / 3;
+  }
+  return total;
+}
+
+// min / mean / max of the finite entries
+function summarize(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let n = 0;
+  for (let i = 0; i < values.length; i++) {
+    const x = values[i];
+    if (!Number.isFinite(x)) continue;
+    if (x < min) min = x;
+    if (x > max) max = x;
+    sum += x;
+    n++;
+  }
+  return n ? { min, max, mean: sum / n, count: n } : null;
+}
+
+export {
+  partialDerivative,
+  finiteDifferences,
+  analyzePoint,
+  analyzeSurface,
+  integrateOverSurface,
+  summarize,
+  dot,
+  cross,
+};
@@ -0,0 +1,198 @@
+// export.js — mesh export (STL, OBJ, PLY, glTF/GLB) with optional seam
+// welding, thickening into a closed solid and scaling to a print size.
+
+import * as THREE from "three";
+import { mergeVertices } from "three/addons/utils/BufferGeometryUtils.js";
+import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { OBJExporter } from "three/addons/exporters/OBJExporter.js";
+import { PLYExporter } from "three/addons/exporters/PLYExporter.js";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+
+const EXPORT_FORMATS = {
+  "stl-binary": { label: "STL (binary)", ext: "stl", mime: "model/stl" },
+  "stl-ascii": { label: "STL (ASCII)", ext: "stl", mime: "model/stl" },
+  obj: { label: "OBJ", ext: "obj", mime: "model/obj" },
+  "ply-binary": { label: "PLY (binary)", ext: "ply", mime: "application/octet-stream" },
+  "ply-ascii": { label: "PLY (ASCII)", ext: "ply", mime: "text/plain" },
+  gltf: { label: "glTF", ext: "gltf", mime: "model/gltf+json" },
+  glb: { label: "GLB", ext: "glb", mime: "model/gltf-binary" },
+};
+
+// --- Geometry preparation ---
+
+// Merge vertices that share a position (e.g. the u = 0 / u = 2π seam),
+// dropping degenerate triangles such as those collapsed at a pole. UVs and
+// normals differ across seams, so they are discarded before merging.
+function weldGeometry(geometry, tolerance = 1e-5) {
+  const source = new THREE.BufferGeometry();
+  source.setAttribute("position", geometry.getAttribute("position").clone());
+  if (geometry.index) source.setIndex(geometry.index.clone());
+
+  const welded = mergeVertices(source, tolerance);
+  const index = welded.index.array;
+  const kept = [];
+  for (let i = 0; i < index.length; i += 3) {
+    const a = index[i];
+    const b = index[i + 1];
+    const c = index[i + 2];
+    if (a !== b && b !== c && a !== c) kept.push(a, b, c);
+  }
+  welded.setIndex(kept);
+  welded.computeVertexNormals();
+  return welded;
+}
+
+// Offset a welded surface by ±thickness/2 along its vertex normals and
+// stitch the two shells together along boundary edges, giving a closed
+// solid. Closed surfaces (no boundary) become a hollow shell.
+function solidifyGeometry(geometry, thickness) {
+  const pos = geometry.getAttribute("position");
+  const nor = geometry.getAttribute("normal");
+  const index = geometry.index.array;
+  const n = pos.count;
+  const half = thickness / 2;
+
+  const positions = new Float32Array(n * 6);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < 3; k++) {
+      const p = pos.array[i * 3 + k];
+      const d = nor.array[i * 3 + k] * half;
+      positions[i * 3 + k] = p + d;
+      positions[(n + i) * 3 + k] = p - d;
+    }
+  }
+
+  const indices = [];
+  const edgeCount = new Map();
+  const edgeKey = (a, b) => (a < b ? `${a}_${b}` : `${b}_${a}`);
+
+  for (let i = 0; i < index.length; i += 3) {
+    const a = index[i];
+    const b = index[i + 1];
+    const c = index[i + 2];
+    indices.push(a, b, c);
+    indices.push(a + n, c + n, b + n);
+    for (const [p, q] of [[a, b], [b, c], [c, a]]) {
+      const key = edgeKey(p, q);
+      edgeCount.set(key, (edgeCount.get(key) || 0) + 1);
+    }
+  }
+
+  // boundary edges are used by exactly one triangle; walk them in the
+  // direction of their triangle so the side walls face outwards
+  for (let i = 0; i < index.length; i += 3) {
+    const tri = [index[i], index[i + 1], index[i + 2]];
+    for (let e = 0; e < 3; e++) {
+      const a = tri[e];
+      const b = tri[(e + 1) % 3];
+      if (edgeCount.get(edgeKey(a, b)) !== 1) continue;
+      indices.push(b, a, a + n);
+      indices.push(b, a + n, b + n);
+    }
+  }
+
+  const solid = new THREE.BufferGeometry();
+  solid.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  solid.setIndex(indices);
+  solid.computeVertexNormals();
+  return solid;
+}
+
+// Build the object to export from the given meshes.
+// options: { weld, thickness, targetSize } — targetSize is the length of
+// the largest bounding-box side (in mm) after scaling; thickness is
+// measured in the same output units.
+function prepareExportObject(meshes, { weld = false, thickness = 0, targetSize = 0 } = {}) {
+  const group = new THREE.Group();
+  const needsWeld = weld || thickness > 0;
+
+  meshes.forEach((source) => {
+    const geometry = needsWeld
+      ? weldGeometry(source.geometry)
+      : source.geometry.clone();
+    geometry.applyMatrix4(source.matrixWorld);
+
+    const material = new THREE.MeshStandardMaterial({
+      color: source.material.color.clone(),
+      metalness: source.material.metalness,
+      roughness: source.material.roughness,
+      side: THREE.DoubleSide,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = source.name;
+    group.add(mesh);
+  });
+
+  if (targetSize > 0) {
+    const box = new THREE.Box3().setFromObject(group);
+    const size = box.getSize(new THREE.Vector3());
+    const largest = Math.max(size.x, size.y, size.z);
+    if (largest > 0) {
+      const s = targetSize / largest;
+      group.children.forEach((mesh) => mesh.geometry.scale(s, s, s));
+    }
+  }
+
+  if (thickness > 0) {
+    group.children.forEach((mesh) => {
+      const solid = solidifyGeometry(mesh.geometry, thickness);
+      mesh.geometry.dispose();
+      mesh.geometry = solid;
+    });
+  }
+
+  return group;
+}
+
+function disposeExportObject(group) {
+  group.children.forEach((mesh) => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  });
+}
+
+// --- Writers ---
+
+// Serialize `object` in the given format; resolves to a Blob.
+async function exportObject(object, format) {
+  const info = EXPORT_FORMATS[format];
+  if (!info) throw new Error(`Unknown export format "${format}".`);
+
+  let data;
+  switch (format) {
+    case "stl-binary":
+    case "stl-ascii":
+      data = new STLExporter().parse(object, { binary: format === "stl-binary" });
+      break;
+    case "obj":
+      data = new OBJExporter().parse(object);
+      break;
+    case "ply-binary":
+    case "ply-ascii":
+      // parse() also returns the result; the callback is optional
+      data = new PLYExporter().parse(object, null, {
+        binary: format === "ply-binary",
+        littleEndian: true,
+      });
+      break;
+    case "gltf":
+    case "glb": {
+      const result = await new GLTFExporter().parseAsync(object, {
+        binary: format === "glb",
+      });
+      data = format === "glb" ? result : JSON.stringify(result, null, 2);
+      break;
+    }
+  }
+
+  return new Blob([data], { type: info.mime });
+}
+
+export {
+  EXPORT_FORMATS,
+  weldGeometry,
+  solidifyGeometry,
+  prepareExportObject,
+  disposeExportObject,
+  exportObject,
+};
@@ -0,0 +1,771 @@
+// expr.js — tokenizer, parser and evaluator for the math expressions
+// typed into the surface fields. Expressions are parsed into a small AST
+// and compiled to closures; only whitelisted functions and constants are
+// available, so nothing typed into a field (or loaded from a preset file)
+// is ever run as JavaScript.
+
+// --- Whitelists ---
+
+const FUNCTIONS = {
+  sin: { fn: Math.sin, arity: 1 },
+  cos: { fn: Math.cos, arity: 1 },
+  tan: { fn: Math.tan, arity: 1 },
+  asin: { fn: Math.asin, arity: 1 },
+  acos: { fn: Math.acos, arity: 1 },
+  atan: { fn: Math.atan, arity: 1 },
+  atan2: { fn: Math.atan2, arity: 2 },
+  sinh: { fn: Math.sinh, arity: 1 },
+  cosh: { fn: Math.cosh, arity: 1 },
+  tanh: { fn: Math.tanh, arity: 1 },
+  exp: { fn: Math.exp, arity: 1 },
+  log: { fn: Math.log, arity: 1 },
+  ln: { fn: Math.log, arity: 1 },
+  log10: { fn: Math.log10, arity: 1 },
+  log2: { fn: Math.log2, arity: 1 },
+  sqrt: { fn: Math.sqrt, arity: 1 },
+  cbrt: { fn: Math.cbrt, arity: 1 },
+  abs: { fn: Math.abs, arity: 1 },
+  sign: { fn: Math.sign, arity: 1 },
+  floor: { fn: Math.floor, arity: 1 },
+  ceil: { fn: Math.ceil, arity: 1 },
+  round: { fn: Math.round, arity: 1 },
+  pow: { fn: Math.pow, arity: 2 },
+  min: { fn: Math.min, arity: -1 },
+  max: { fn: Math.max, arity: -1 },
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  tau: 2 * Math.PI,
+};
+
+// pi used to be matched case-insensitively (PI, Pi), keep accepting that
+function lookupConstant(name) {
+  if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+    return CONSTANTS[name];
+  }
+  if (name.toLowerCase() === "pi") return Math.PI;
+  return undefined;
+}
+
+function isFunctionName(name) {
+  return Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+}
+
+function isReservedName(name) {
+  return isFunctionName(name) || lookupConstant(name) !== undefined;
+}
+
+// --- Errors ---
+
+class ExpressionError extends Error {
+  constructor(message, source, index) {
+    const { line, col } = locate(source, index);
+    super(`${message} at col ${col}`);
+    this.name = "ExpressionError";
+    this.source = source;
+    this.index = index;
+    this.line = line;
+    this.column = col;
+  }
+
+  // the offending line with a caret under the error column
+  get snippet() {
+    const lineText = String(this.source).split("\n")[this.line - 1] || "";
+    return `${lineText}\n${" ".repeat(this.column - 1)}^`;
+  }
+}
+
+function locate(source, index) {
+  const before = String(source).slice(0, index);
+  const lines = before.split("\n");
+  return { line: lines.length, col: lines[lines.length - 1].length + 1 };
+}
+
+// --- Tokenizer ---
+
+// Greek letters are allowed so fields can use θ, φ, ρ directly
+const IDENT_START = /[A-Za-z_\u0370-\u03ff]/;
+const IDENT_PART = /[A-Za-z0-9_\u0370-\u03ff]/;
+const NUMBER_RE = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      const m = NUMBER_RE.exec(src.slice(i));
+      if (!m) throw new ExpressionError(`malformed number`, src, i);
+      tokens.push({ type: "num", value: parseFloat(m[0]), text: m[0], pos: i });
+      i += m[0].length;
+      continue;
+    }
+
+    if (IDENT_START.test(ch)) {
+      let j = i + 1;
+      while (j < src.length && IDENT_PART.test(src[j])) j++;
+      const name = src.slice(i, j);
+      tokens.push({ type: "ident", value: name, text: name, pos: i });
+      i = j;
+      continue;
+    }
+
+    // JS-style ** is accepted as a synonym for ^
+    if (ch === "*" && src[i + 1] === "*") {
+      tokens.push({ type: "op", value: "^", text: "**", pos: i });
+      i += 2;
+      continue;
+    }
+
+    if ("+-*/^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch, text: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`unexpected character \`${ch}\``, src, i);
+  }
+
+  tokens.push({ type: "end", value: null, text: "end of input", pos: src.length });
+  return tokens;
+}
+
+// --- Parser ---
+//
+// expr    := term (("+" | "-") term)*
+// term    := unary (("*" | "/") unary)*
+// unary   := ("+" | "-") unary | power
+// power   := primary ("^" unary)?        (right-associative)
+// primary := number | ident | ident "(" args ")" | "(" expr ")"
+//
+// Unary minus binds looser than ^, so -u^2 = -(u^2) and 2^3^2 = 2^9.
+
+function parseExpression(src) {
+  if (src == null || !String(src).trim()) {
+    throw new Error("Expression is empty.");
+  }
+  const source = String(src);
+  const tokens = tokenize(source);
+  let k = 0;
+
+  const peek = () => tokens[k];
+  const next = () => tokens[k++];
+  const isOp = (tok, value) => tok.type === "op" && tok.value === value;
+
+  const fail = (message, tok) => {
+    throw new ExpressionError(message, source, tok.pos);
+  };
+
+  const expect = (value) => {
+    const tok = next();
+    if (!isOp(tok, value)) {
+      fail(`expected \`${value}\` but found \`${tok.text}\``, tok);
+    }
+    return tok;
+  };
+
+  function parseExpr() {
+    let left = parseTerm();
+    while (isOp(peek(), "+") || isOp(peek(), "-")) {
+      const tok = next();
+      const right = parseTerm();
+      left = { type: "bin", op: tok.value, left, right, pos: tok.pos };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isOp(peek(), "*") || isOp(peek(), "/")) {
+      const tok = next();
+      const right = parseUnary();
+      left = { type: "bin", op: tok.value, left, right, pos: tok.pos };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const tok = peek();
+    if (isOp(tok, "-")) {
+      next();
+      return { type: "neg", arg: parseUnary(), pos: tok.pos };
+    }
+    if (isOp(tok, "+")) {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp(peek(), "^")) {
+      const tok = next();
+      const exponent = parseUnary();
+      return { type: "bin", op: "^", left: base, right: exponent, pos: tok.pos };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const tok = next();
+
+    if (tok.type === "num") {
+      return { type: "num", value: tok.value, pos: tok.pos };
+    }
+
+    if (tok.type === "ident") {
+      if (isOp(peek(), "(")) {
+        if (!isFunctionName(tok.value)) {
+          fail(`unknown function \`${tok.value}\``, tok);
+        }
+        next();
+        const args = [];
+        if (!isOp(peek(), ")")) {
+          args.push(parseExpr());
+          while (isOp(peek(), ",")) {
+            next();
+            args.push(parseExpr());
+          }
+        }
+        expect(")");
+
+        const { arity } = FUNCTIONS[tok.value];
+        if (arity >= 0 && args.length !== arity) {
+          fail(
+            `\`${tok.value}\` takes ${arity} argument${arity === 1 ? "" : "s"}, got ${args.length}`,
+            tok
+          );
+        }
+        if (arity < 0 && args.length === 0) {
+          fail(`\`${tok.value}\` needs at least one argument`, tok);
+        }
+        return { type: "call", name: tok.value, args, pos: tok.pos };
+      }
+      if (isFunctionName(tok.value)) {
+        fail(`function \`${tok.value}\` must be called with parentheses`, tok);
+      }
+      return { type: "var", name: tok.value, pos: tok.pos };
+    }
+
+    if (isOp(tok, "(")) {
+      const inner = parseExpr();
+      expect(")");
+      return inner;
+    }
+
+    if (tok.type === "end") fail("unexpected end of expression", tok);
+    fail(`unexpected \`${tok.text}\``, tok);
+  }
+
+  const ast = parseExpr();
+  const rest = peek();
+  if (rest.type !== "end") {
+    fail(`unexpected \`${rest.text}\``, rest);
+  }
+  ast.source = source;
+  return ast;
+}
+
+// names of all identifiers an AST refers to (variables and constants)
+function collectIdentifiers(ast, out = new Set()) {
+  switch (ast.type) {
+    case "var":
+      out.add(ast.name);
+      break;
+    case "neg":
+      collectIdentifiers(ast.arg, out);
+      break;
+    case "bin":
+      collectIdentifiers(ast.left, out);
+      collectIdentifiers(ast.right, out);
+      break;
+    case "call":
+      ast.args.forEach((a) => collectIdentifiers(a, out));
+      break;
+  }
+  return out;
+}
+
+// copy of `ast` with the variables named in `bindings` replaced by the
+// given subtrees
+function substitute(ast, bindings) {
+  switch (ast.type) {
+    case "var":
+      return Object.hasOwn(bindings, ast.name) ? bindings[ast.name] : ast;
+    case "neg":
+      return { ...ast, arg: substitute(ast.arg, bindings) };
+    case "bin":
+      return {
+        ...ast,
+        left: substitute(ast.left, bindings),
+        right: substitute(ast.right, bindings),
+      };
+    case "call":
+      return { ...ast, args: ast.args.map((a) => substitute(a, bindings)) };
+  }
+  return ast;
+}
+
+// --- Symbolic differentiation ---
+
+// Node constructors that fold constants and drop trivial terms, so that
+// derivatives stay readable (0 * x, x + 0, x^1, --x, ...).
+
+const isNum = (n, value) =>
+  n.type === "num" && (value === undefined || n.value === value);
+
+const num = (value) => ({ type: "num", value });
+
+function negate(a) {
+  if (isNum(a)) return num(-a.value);
+  if (a.type === "neg") return a.arg;
+  return { type: "neg", arg: a };
+}
+
+// Sums and products are flattened into their terms or factors, so that
+// numbers fold together wherever they stand (16 * (3 * x)) and like terms
+// combine or cancel (1 + u - u).
+
+// the terms of a sum as { sign, node }
+function sumTerms(node, sign, out) {
+  if (node.type === "bin" && (node.op === "+" || node.op === "-")) {
+    sumTerms(node.left, sign, out);
+    sumTerms(node.right, node.op === "+" ? sign : -sign, out);
+  } else if (node.type === "neg") {
+    sumTerms(node.arg, -sign, out);
+  } else {
+    out.push({ sign, node });
+  }
+  return out;
+}
+
+// -node, keeping a number in front of a product
+function negative(node) {
+  if (node.type === "bin" && node.op === "*" && isNum(node.left)) {
+    return { ...node, left: num(-node.left.value) };
+  }
+  return negate(node);
+}
+
+// the number a term is a multiple of and the rest: 6 * x / y gives
+// [6, x / y], 6 gives [6, 1]
+function termCoefficient(node) {
+  const [c, rest] = splitCoefficient(node);
+  if (c !== 1) return [c, rest || num(1)];
+  if (node.type === "bin" && node.op === "/") {
+    const [n, numerator] = termCoefficient(node.left);
+    if (n !== 1) return [n, { ...node, left: numerator }];
+  }
+  return [1, node];
+}
+
+// Like terms add up where the first of them stands, numbers with numbers:
+// their numeric factors in front are summed and terms that cancel dropped.
+function sumOf(terms) {
+  const kept = [];
+  terms.forEach(({ sign, node }) => {
+    const [value, base] = termCoefficient(node);
+    const coefficient = sign * value;
+    const key = formatExpression(base);
+    const like = kept.find((t) => t.key === key);
+    if (like) like.coefficient += coefficient;
+    else kept.push({ key, base, coefficient });
+  });
+
+  const rest = kept.filter((t) => t.coefficient !== 0);
+  if (!rest.length) return num(0);
+  const term = ({ base, coefficient }) => {
+    const c = num(Math.abs(coefficient));
+    return base.type === "bin" && base.op === "/"
+      ? div(mul(c, base.left), base.right)
+      : mul(c, base);
+  };
+  const [first] = rest;
+  return rest.slice(1).reduce(
+    (left, t) => ({
+      type: "bin",
+      op: t.coefficient > 0 ? "+" : "-",
+      left,
+      right: term(t),
+    }),
+    first.coefficient > 0 ? term(first) : negative(term(first))
+  );
+}
+
+function add(a, b) {
+  return sumOf(sumTerms(b, 1, sumTerms(a, 1, [])));
+}
+
+function sub(a, b) {
+  return sumOf(sumTerms(b, -1, sumTerms(a, 1, [])));
+}
+
+function productFactors(node, out) {
+  if (node.type === "bin" && node.op === "*") {
+    productFactors(node.left, out);
+    productFactors(node.right, out);
+  } else {
+    out.push(node);
+  }
+  return out;
+}
+
+// the number in front of a product and the rest: 6 * x gives [6, x],
+// 6 gives [6, null]
+function splitCoefficient(node) {
+  if (isNum(node)) return [node.value, null];
+  if (node.type === "bin" && node.op === "*" && isNum(node.left)) {
+    return [node.left.value, node.right];
+  }
+  return [1, node];
+}
+
+function mul(a, b) {
+  if (isNum(a) && isNum(b)) return num(a.value * b.value);
+  if (isNum(a, 0) || isNum(b, 0)) return num(0);
+  if (isNum(a, 1)) return b;
+  if (isNum(b, 1)) return a;
+  if (isNum(a, -1)) return negative(b);
+  if (isNum(b, -1)) return negative(a);
+  if (a.type === "neg") return negative(mul(a.arg, b));
+  if (b.type === "neg") return negative(mul(a, b.arg));
+
+  // numeric factors multiply together in front; so do the numerators of
+  // factors such as 1 / x, whose denominators divide the product
+  let coefficient = 1;
+  const factors = [];
+  const denominators = [];
+  productFactors(b, productFactors(a, [])).forEach((f) => {
+    if (isNum(f)) {
+      coefficient *= f.value;
+    } else if (f.type === "bin" && f.op === "/" && isNum(f.left)) {
+      coefficient *= f.left.value;
+      denominators.push(f.right);
+    } else {
+      factors.push(f);
+    }
+  });
+  if (denominators.length) {
+    const numerator = factors.reduce(mul, num(coefficient));
+    return div(numerator, denominators.reduce(mul));
+  }
+  if (coefficient === 0) return num(0);
+  if (!factors.length) return num(coefficient);
+  const product = factors.reduce((left, right) => ({ type: "bin", op: "*", left, right }));
+  if (coefficient === 1) return product;
+  if (coefficient === -1) return negate(product);
+  return { type: "bin", op: "*", left: num(coefficient), right: product };
+}
+
+function div(a, b) {
+  if (isNum(a, 0)) return num(0);
+  if (isNum(b, 1)) return a;
+  if (isNum(a) && isNum(b) && b.value !== 0) return num(a.value / b.value);
+  if (a.type === "neg") return negate(div(a.arg, b));
+  // (6 * x) / (2 * y) = 3 * x / y, when the quotient of the numbers is whole
+  const [ca, ra] = splitCoefficient(a);
+  const [cb, rb] = splitCoefficient(b);
+  const quotient = ca / cb;
+  if (cb !== 1 && Number.isInteger(quotient)) {
+    const scaled = ra ? mul(num(quotient), ra) : num(quotient);
+    return rb ? div(scaled, rb) : scaled;
+  }
+  return { type: "bin", op: "/", left: a, right: b };
+}
+
+function pow(a, b) {
+  if (isNum(b, 0)) return num(1);
+  if (isNum(b, 1)) return a;
+  if (a.type === "neg" && isNum(b) && b.value % 2 === 0) return pow(a.arg, b);
+  // (-8)^(1/3) and 0^-1 are left for the evaluator to report
+  if (isNum(a) && isNum(b) && Number.isFinite(Math.pow(a.value, b.value))) {
+    return num(Math.pow(a.value, b.value));
+  }
+  return { type: "bin", op: "^", left: a, right: b };
+}
+
+const call = (name, ...args) => ({ type: "call", name, args });
+
+const BINARY = { "+": add, "-": sub, "*": mul, "/": div, "^": pow };
+
+// copy of `ast` rebuilt with the folding constructors: constant
+// subexpressions such as 2 * 3 or -2 become numbers and trivial terms are
+// dropped. Functions of constants are folded only to whole numbers (cos(0),
+// sqrt(4)), so that sqrt(2) stays exact.
+function simplify(ast) {
+  switch (ast.type) {
+    case "neg":
+      return negate(simplify(ast.arg));
+    case "bin":
+      return BINARY[ast.op](simplify(ast.left), simplify(ast.right));
+    case "call": {
+      const args = ast.args.map(simplify);
+      if (args.every((a) => isNum(a))) {
+        const value = FUNCTIONS[ast.name].fn(...args.map((a) => a.value));
+        if (Number.isInteger(value)) return num(value);
+      }
+      return { ...ast, args };
+    }
+  }
+  return ast;
+}
+
+// d/da f(a) for single-argument functions, as an AST in `a`
+const DERIVATIVE_RULES = {
+  sin: (a) => call("cos", a),
+  cos: (a) => negate(call("sin", a)),
+  tan: (a) => div(num(1), pow(call("cos", a), num(2))),
+  asin: (a) => div(num(1), call("sqrt", sub(num(1), pow(a, num(2))))),
+  acos: (a) => negate(div(num(1), call("sqrt", sub(num(1), pow(a, num(2)))))),
+  atan: (a) => div(num(1), add(num(1), pow(a, num(2)))),
+  sinh: (a) => call("cosh", a),
+  cosh: (a) => call("sinh", a),
+  tanh: (a) => div(num(1), pow(call("cosh", a), num(2))),
+  exp: (a) => call("exp", a),
+  log: (a) => div(num(1), a),
+  ln: (a) => div(num(1), a),
+  log10: (a) => div(num(1), mul(a, call("log", num(10)))),
+  log2: (a) => div(num(1), mul(a, call("log", num(2)))),
+  sqrt: (a) => div(num(1), mul(num(2), call("sqrt", a))),
+  cbrt: (a) => div(num(1), mul(num(3), pow(call("cbrt", a), num(2)))),
+  abs: (a) => call("sign", a),
+};
+
+function powerDerivative(base, exponent, name) {
+  const db = derivative(base, name);
+  const de = derivative(exponent, name);
+  if (isNum(de, 0)) {
+    return mul(mul(exponent, pow(base, sub(exponent, num(1)))), db);
+  }
+  // d(a^b) = a^b * (b' ln a + b a' / a)
+  return mul(
+    pow(base, exponent),
+    add(mul(de, call("log", base)), div(mul(exponent, db), base))
+  );
+}
+
+// Symbolic ∂ast/∂name, with constants folded. Throws if the expression uses
+// a function without a derivative rule (floor, round, min, ...) in a way
+// that depends on `name`.
+function differentiate(ast, name) {
+  return derivative(simplify(ast), name);
+}
+
+function derivative(ast, name) {
+  switch (ast.type) {
+    case "num":
+      return num(0);
+    case "var":
+      return num(ast.name === name ? 1 : 0);
+    case "neg":
+      return negate(derivative(ast.arg, name));
+    case "bin": {
+      const { op, left, right } = ast;
+      if (op === "^") return powerDerivative(left, right, name);
+
+      const dl = derivative(left, name);
+      const dr = derivative(right, name);
+      switch (op) {
+        case "+":
+          return add(dl, dr);
+        case "-":
+          return sub(dl, dr);
+        case "*":
+          return add(mul(dl, right), mul(left, dr));
+        case "/":
+          if (isNum(dr, 0)) return div(dl, right);
+          return div(sub(mul(dl, right), mul(left, dr)), pow(right, num(2)));
+      }
+      break;
+    }
+    case "call": {
+      const dargs = ast.args.map((a) => derivative(a, name));
+      if (dargs.every((d) => isNum(d, 0))) return num(0);
+
+      if (ast.name === "pow") {
+        return powerDerivative(ast.args[0], ast.args[1], name);
+      }
+      if (ast.name === "atan2") {
+        // d atan2(y, x) = (x y' - y x') / (x^2 + y^2)
+        const [y, x] = ast.args;
+        const [dy, dx] = dargs;
+        return div(
+          sub(mul(x, dy), mul(y, dx)),
+          add(pow(x, num(2)), pow(y, num(2)))
+        );
+      }
+      const rule = DERIVATIVE_RULES[ast.name];
+      if (!rule) {
+        throw new Error(`no derivative rule for \`${ast.name}\``);
+      }
+      return mul(rule(ast.args[0]), dargs[0]);
+    }
+  }
+  throw new Error(`Unknown expression node "${ast.type}".`);
+}
+
+// --- Formatting ---
+
+function precedence(node) {
+  switch (node.type) {
+    case "num":
+      return node.value < 0 ? 3 : 5;
+    case "neg":
+      return 3;
+    case "bin":
+      return { "+": 1, "-": 1, "*": 2, "/": 2, "^": 4 }[node.op];
+    default:
+      return 5;
+  }
+}
+
+// the shortest text that reads back as the same number
+function formatNumber(value) {
+  return String(value);
+}
+
+// AST back to text that parseExpression reads the same way, with only the
+// parentheses the precedence rules need
+function formatExpression(node) {
+  switch (node.type) {
+    case "num":
+      return formatNumber(node.value);
+    case "var":
+      return node.name;
+    case "call":
+      return `${node.name}(${node.args.map(formatExpression).join(", ")})`;
+    case "neg": {
+      const inner = formatExpression(node.arg);
+      return precedence(node.arg) < 4 ? `-(${inner})` : `-${inner}`;
+    }
+    case "bin": {
+      const p = precedence(node);
+      const wrap = (child, needed) => {
+        const text = formatExpression(child);
+        return needed ? `(${text})` : text;
+      };
+      const lp = precedence(node.left);
+      const rp = precedence(node.right);
+
+      if (node.op === "^") {
+        return `${wrap(node.left, lp <= 4)}^${wrap(node.right, rp < 3)}`;
+      }
+      const left = wrap(node.left, lp < p);
+      const right = wrap(
+        node.right,
+        rp < p || rp === 3 || (rp === p && (node.op === "-" || node.op === "/"))
+      );
+      return `${left} ${node.op} ${right}`;
+    }
+  }
+  return "";
+}
+
+// --- Compiler ---
+
+// Turns an AST into a closure taking a scope object, e.g. f({ u, v }).
+// Identifiers must be one of `variables` or a known constant.
+function compileAst(ast, variables = []) {
+  const source = ast.source || "";
+  const allowed = new Set(variables);
+
+  function build(node) {
+    switch (node.type) {
+      case "num": {
+        const value = node.value;
+        return () => value;
+      }
+      case "var": {
+        const name = node.name;
+        if (allowed.has(name)) return (s) => s[name];
+        const value = lookupConstant(name);
+        if (value !== undefined) return () => value;
+        throw new ExpressionError(
+          `unknown identifier \`${name}\``,
+          source,
+          node.pos
+        );
+      }
+      case "neg": {
+        const a = build(node.arg);
+        return (s) => -a(s);
+      }
+      case "bin": {
+        const a = build(node.left);
+        const b = build(node.right);
+        switch (node.op) {
+          case "+":
+            return (s) => a(s) + b(s);
+          case "-":
+            return (s) => a(s) - b(s);
+          case "*":
+            return (s) => a(s) * b(s);
+          case "/":
+            return (s) => a(s) / b(s);
+          case "^":
+            return (s) => Math.pow(a(s), b(s));
+        }
+        break;
+      }
+      case "call": {
+        const fn = FUNCTIONS[node.name].fn;
+        const args = node.args.map(build);
+        if (args.length === 1) {
+          const a = args[0];
+          return (s) => fn(a(s));
+        }
+        if (args.length === 2) {
+          const [a, b] = args;
+          return (s) => fn(a(s), b(s));
+        }
+        return (s) => fn(...args.map((g) => g(s)));
+      }
+    }
+    throw new Error(`Unknown expression node "${node.type}".`);
+  }
+
+  return build(ast);
+}
+
+function compileExpression(src, variables = ["u", "v"]) {
+  return compileAst(parseExpression(src), variables);
+}
+
+// numeric-only expressions for bounds; `scope` supplies any named values
+function evalNumericExpression(src, scope = {}) {
+  if (src == null || !String(src).trim()) {
+    throw new Error("Parameter bound expression is empty.");
+  }
+  const f = compileExpression(src, Object.keys(scope));
+  const val = f(scope);
+  if (!isFinite(val)) {
+    throw new Error(`Expression "${String(src).trim()}" evaluated to non-finite value.`);
+  }
+  return val;
+}
+
+export {
+  FUNCTIONS,
+  CONSTANTS,
+  ExpressionError,
+  isReservedName,
+  parseExpression,
+  collectIdentifiers,
+  substitute,
+  simplify,
+  differentiate,
+  formatExpression,
+  compileAst,
+  compileExpression,
+  evalNumericExpression,
+};
@@ -0,0 +1,62 @@
+// history.js — undo / redo history of plotted scenes, kept in localStorage
+// so that it survives reloads. A history is { entries, index }: entries are
+// { date, thumbnail, selected, preset } snapshots, oldest first, `preset`
+// being the scene without its view and `selected` the selected layer's
+// index; `index` points at the entry on screen.
+
+const HISTORY_KEY = "paramSurfaceHistory";
+const MAX_HISTORY = 40;
+// characters the stored history may take, leaving the rest of the storage
+// quota (about 5 million characters) to the preset library
+const HISTORY_BUDGET = 1500000;
+
+const emptyHistory = () => ({ entries: [], index: -1 });
+
+function loadHistory() {
+  try {
+    const data = JSON.parse(localStorage.getItem(HISTORY_KEY) || "null");
+    if (!data || !Array.isArray(data.entries) || !data.entries.length) return emptyHistory();
+    const last = data.entries.length - 1;
+    const index = Number.isInteger(data.index) ? Math.min(Math.max(data.index, 0), last) : last;
+    return { entries: data.entries, index };
+  } catch (e) {
+    return emptyHistory();
+  }
+}
+
+// Store the history, dropping the oldest snapshots while it is over its
+// budget or the storage quota is used up; returns the history as stored.
+// Throws when not even one snapshot fits.
+function saveHistory(history) {
+  let { entries, index } = history;
+  for (;;) {
+    const text = JSON.stringify({ entries, index });
+    try {
+      if (text.length > HISTORY_BUDGET) throw new Error("History is over its storage budget.");
+      localStorage.setItem(HISTORY_KEY, text);
+      return { entries, index };
+    } catch (e) {
+      if (entries.length <= 1) throw e;
+      entries = entries.slice(1);
+      index = Math.max(index - 1, 0);
+    }
+  }
+}
+
+function clearHistory() {
+  localStorage.removeItem(HISTORY_KEY);
+  return emptyHistory();
+}
+
+// The history with `snapshot` recorded after the current entry; entries
+// that could be redone are dropped. The same history when the snapshot's
+// preset is the one on screen.
+function pushSnapshot(history, { preset, selected = 0, thumbnail = "" }) {
+  const current = history.entries[history.index];
+  if (current && JSON.stringify(current.preset) === JSON.stringify(preset)) return history;
+  const entry = { date: new Date().toISOString(), thumbnail, selected, preset };
+  const entries = [...history.entries.slice(0, history.index + 1), entry].slice(-MAX_HISTORY);
+  return { entries, index: entries.length - 1 };
+}
+
+export { loadHistory, saveHistory, clearHistory, pushSnapshot };
@@ -0,0 +1,157 @@
+// implicit.js — contouring of a sampled scalar field: the zero level set
+// of F on a regular box grid, by marching cubes.
+//
+// Instead of the classic 256-case table, each cube's triangles are derived
+// from its corner signs: the crossings on every face are joined into
+// segments, the segments into loops around the cube, and each loop is
+// fanned. A face with four crossings is resolved by the sign of F at its
+// center, which both cubes sharing the face agree on, so the mesh has no
+// cracks. Results are cached per sign pattern.
+
+// corner c sits at offset (c & 1, (c >> 1) & 1, (c >> 2) & 1) of its cube
+const CORNER_OFFSETS = [0, 1, 2, 3, 4, 5, 6, 7].map((c) => [c & 1, (c >> 1) & 1, (c >> 2) & 1]);
+
+// edges [a, b, axis] with b = a + one step along axis
+const EDGES = [];
+const EDGE_INDEX = new Int8Array(64).fill(-1);
+for (let a = 0; a < 8; a++) {
+  for (let axis = 0; axis < 3; axis++) {
+    const b = a | (1 << axis);
+    if (b === a) continue;
+    EDGE_INDEX[a * 8 + b] = EDGE_INDEX[b * 8 + a] = EDGES.length;
+    EDGES.push([a, b, axis]);
+  }
+}
+
+// the six faces, corners counter-clockwise seen from outside the cube
+const FACES = [
+  [0, 4, 6, 2], // x = 0
+  [1, 3, 7, 5], // x = 1
+  [0, 1, 5, 4], // y = 0
+  [2, 6, 7, 3], // y = 1
+  [0, 2, 3, 1], // z = 0
+  [4, 5, 7, 6], // z = 1
+];
+
+// Triangles (as edge indices) of a cube whose corners in the `inside`
+// bitmask have F < 0; bit f of `centers` is set when face f has four
+// crossings and F < 0 at its center.
+//
+// On every face the inside region is bounded by segments running from a
+// crossing where F turns positive (walking counter-clockwise) to the next
+// crossing where it turns negative, so the segments chain into loops that
+// circle the inside region. The fans are wound the other way round, making
+// triangle normals point towards F > 0.
+function cubeTriangles(inside, centers) {
+  const next = new Int8Array(12).fill(-1);
+  FACES.forEach((face, f) => {
+    const crossings = [];
+    for (let k = 0; k < 4; k++) {
+      const a = face[k];
+      const b = face[(k + 1) % 4];
+      const ia = (inside >> a) & 1;
+      if (ia !== ((inside >> b) & 1)) {
+        crossings.push({ edge: EDGE_INDEX[a * 8 + b], exit: ia === 1 });
+      }
+    }
+    // two inside corners joined through the center: pair each exit with
+    // the following crossing, otherwise with the preceding one
+    const m = crossings.length;
+    const step = m === 4 && !((centers >> f) & 1) ? m - 1 : 1;
+    crossings.forEach((c, k) => {
+      if (c.exit) next[c.edge] = crossings[(k + step) % m].edge;
+    });
+  });
+
+  const triangles = [];
+  const seen = new Uint8Array(12);
+  for (let e = 0; e < 12; e++) {
+    if (next[e] < 0 || seen[e]) continue;
+    const loop = [];
+    for (let x = e; !seen[x]; x = next[x]) {
+      seen[x] = 1;
+      loop.push(x);
+    }
+    for (let k = 1; k + 1 < loop.length; k++) {
+      triangles.push(loop[0], loop[k + 1], loop[k]);
+    }
+  }
+  return triangles;
+}
+
+// Extract F = 0 from samples of F on a grid of nx × ny × nz cells:
+// `values[i + (nx + 1) * (j + (ny + 1) * k)]` is F at
+// (min[0] + i * step[0], min[1] + j * step[1], min[2] + k * step[2]).
+// Cubes with a non-finite corner are left out. Vertices are shared between
+// the cubes around an edge. Returns { positions, indices }.
+function marchingCubes(values, { nx, ny, nz, min, step }, onProgress = () => {}) {
+  const sx = 1;
+  const sy = nx + 1;
+  const sz = (nx + 1) * (ny + 1);
+  const cornerStride = CORNER_OFFSETS.map(([i, j, k]) => i * sx + j * sy + k * sz);
+
+  const cache = new Map();
+  const vertexOf = new Map();
+  const positions = [];
+  const indices = [];
+  const corner = new Float64Array(8);
+
+  const vertex = (base, i, j, k, e) => {
+    const [a, b, axis] = EDGES[e];
+    const key = (base + cornerStride[a]) * 3 + axis;
+    let index = vertexOf.get(key);
+    if (index === undefined) {
+      const t = corner[a] / (corner[a] - corner[b]);
+      const o = CORNER_OFFSETS[a];
+      index = positions.length / 3;
+      vertexOf.set(key, index);
+      positions.push(
+        min[0] + step[0] * (i + o[0] + (axis === 0 ? t : 0)),
+        min[1] + step[1] * (j + o[1] + (axis === 1 ? t : 0)),
+        min[2] + step[2] * (k + o[2] + (axis === 2 ? t : 0))
+      );
+    }
+    return index;
+  };
+
+  for (let k = 0; k < nz; k++) {
+    onProgress(k / nz);
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const base = i * sx + j * sy + k * sz;
+        let inside = 0;
+        let finite = true;
+        for (let c = 0; c < 8; c++) {
+          const value = values[base + cornerStride[c]];
+          if (!Number.isFinite(value)) finite = false;
+          corner[c] = value;
+          if (value < 0) inside |= 1 << c;
+        }
+        if (!finite || inside === 0 || inside === 255) continue;
+
+        let centers = 0;
+        FACES.forEach(([a, b, c, d], f) => {
+          const sa = (inside >> a) & 1;
+          const ambiguous =
+            sa === ((inside >> c) & 1) &&
+            ((inside >> b) & 1) === ((inside >> d) & 1) &&
+            sa !== ((inside >> b) & 1);
+          if (ambiguous && corner[a] + corner[b] + corner[c] + corner[d] < 0) {
+            centers |= 1 << f;
+          }
+        });
+
+        const key = inside + 256 * centers;
+        let triangles = cache.get(key);
+        if (!triangles) {
+          triangles = cubeTriangles(inside, centers);
+          cache.set(key, triangles);
+        }
+        for (const e of triangles) indices.push(vertex(base, i, j, k, e));
+      }
+    }
+  }
+  return { positions: Float32Array.from(positions), indices: Uint32Array.from(indices) };
+}
+
+export { marchingCubes };
@@ -0,0 +1,111 @@
+// library.js — the preset library kept in localStorage. Entries are
+// { id, name, tags, date, thumbnail, preset }: `preset` is what
+// collectPresetFromUI produced, `thumbnail` a JPEG data URL of the view.
+// The whole library travels as one bundle file, { presets: [...] }, whose
+// entries are presets carrying their tags, date and thumbnail.
+
+const LIBRARY_KEY = "paramSurfaceLibrary";
+
+function loadLibrary() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// throws when the storage quota is used up
+function saveLibrary(entries) {
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(entries));
+}
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+function createEntry(preset, { name, tags = [], thumbnail = "", date } = {}) {
+  const entryName = name || preset.name || "Untitled";
+  return {
+    id: newId(),
+    name: entryName,
+    tags,
+    date: date || new Date().toISOString(),
+    thumbnail,
+    preset: { ...preset, name: entryName },
+  };
+}
+
+// "Torus, animated ,torus" → ["torus", "animated"]
+function parseTags(text) {
+  const tags = String(text || "")
+    .split(",")
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// entries whose name or tags contain every word of `query`, newest first
+function searchLibrary(entries, query) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  return entries
+    .filter((entry) => {
+      const text = [entry.name, ...entry.tags].join(" ").toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+}
+
+// --- Bundles ---
+
+function libraryBundle(entries) {
+  return {
+    type: "paramSurfaceLibrary",
+    version: 1,
+    presets: entries.map(({ name, tags, date, thumbnail, preset }) => ({
+      ...preset,
+      name,
+      tags,
+      date,
+      thumbnail,
+    })),
+  };
+}
+
+// A bundle is marked as such, or (older files) is an untyped
+// { presets: [...] } whose entries are whole presets rather than the
+// layers of one scene.
+function isLibraryBundle(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.presets)) return false;
+  if (data.type === "paramSurfaceLibrary") return true;
+  return (
+    !data.type &&
+    data.presets.length > 0 &&
+    data.presets.every((p) => p && p.type === "paramSurfacePreset")
+  );
+}
+
+// new library entries (fresh ids) for every preset of a bundle
+function entriesFromBundle(data) {
+  return data.presets.map((item, i) => {
+    if (!item || typeof item !== "object") {
+      throw new Error(`entry ${i + 1} is not a preset object`);
+    }
+    const { tags, date, thumbnail, ...preset } = item;
+    return createEntry(preset, {
+      tags: Array.isArray(tags) ? tags.map(String) : parseTags(tags),
+      date: typeof date === "string" ? date : undefined,
+      thumbnail: typeof thumbnail === "string" ? thumbnail : "",
+    });
+  });
+}
+
+export {
+  loadLibrary,
+  saveLibrary,
+  createEntry,
+  parseTags,
+  searchLibrary,
+  libraryBundle,
+  isLibraryBundle,
+  entriesFromBundle,
+};
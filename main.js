@@ -2,16 +2,104 @@
 
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { evalNumericExpression, formatExpression } from "./expr.js";
+import { COLORMAPS, colormapGradient, sampleColormap } from "./colormap.js";
+import {
+  analyzePoint,
+  analyzeSurface,
+  integrateOverSurface,
+  partialDerivative,
+  summarize,
+} from "./diffgeo.js";
+import {
+  EXPORT_FORMATS,
+  disposeExportObject,
+  exportObject,
+  prepareExportObject,
+} from "./export.js";
+import {
+  addTangentFields,
+  applyExactNormals,
+  compileField,
+  isoLines,
+  runMeshJob,
+  sampleSurface,
+  secondDerivativeFields,
+  surfaceTriangles,
+} from "./mesher.js";
+import { lineMesh, sampleCurve, tubeFrames, tubeMesh } from "./curve.js";
+import { COORDINATE_MODES, cartesianFields } from "./coordinates.js";
+import {
+  parsePointsCsv,
+  parsePointsJson,
+  parseTransform,
+  samplePathData,
+  traceImageOutlines,
+  transformCurves,
+} from "./pathimport.js";
+import { BUILDERS, builderFields } from "./builders.js";
+import {
+  loadLibrary,
+  saveLibrary,
+  createEntry,
+  parseTags,
+  searchLibrary,
+  libraryBundle,
+  isLibraryBundle,
+  entriesFromBundle,
+} from "./library.js";
+import { MAX_LINK_LENGTH, encodeState, decodeState, hasState } from "./sharelink.js";
+import {
+  PRESET_TYPE,
+  PRESET_VERSION,
+  paramNameProblem,
+  readPreset,
+} from "./presetschema.js";
+import { loadHistory, saveHistory, clearHistory, pushSnapshot } from "./history.js";
 
 // --- Global state ---
 
 let scene, camera, renderer, controls;
-let currentMesh = null;
+
+// scene layers: { id, spec, mesh, surface }. `spec` holds the layer's own
+// expressions, bounds, resolution, color, wireframe and visibility;
+// `surface` keeps the compiled functions + grid so the layer can be
+// re-sampled in place while animating.
+let layers = [];
+let selectedLayerId = null;
+let nextLayerId = 1;
+
+// user-defined parameters: { name, min, max, step, value }
+let params = [];
+
+// animation clock for the time variable t
+const timeState = {
+  t: 0,
+  min: 0,
+  max: 2 * Math.PI,
+  speed: 1,
+  playing: false,
+  lastFrame: null,
+};
 
 let drawCanvas = null;
 let drawCtx = null;
 let drawPoints = [];
 let isDrawing = false;
+let fourierFit = null; // fitFourier result of the last computation
+// drawn or imported curves: { name, points (canvas px), open, drawn, source }
+let fourierCurves = [];
+let svgPaths = []; // <path> elements of the imported SVG: { label, d, matrix, source }
+
+// epicycle playback of the last Fourier fit
+const epicycleState = {
+  t: 0,
+  speed: 0.2, // turns per second
+  terms: 0, // circles drawn, largest first
+  playing: false,
+  lastFrame: null,
+  trace: [], // tip positions since u = 0
+};
 
 const statusEl = () => document.getElementById("status-message");
 
@@ -32,15 +120,19 @@ const EXAMPLES = {
   },
   torus: {
     name: "Torus",
-    x: "(1 + 0.35 * cos(v)) * cos(u)",
-    y: "(1 + 0.35 * cos(v)) * sin(u)",
-    z: "0.35 * sin(v)",
+    x: "(R + r * cos(v)) * cos(u)",
+    y: "(R + r * cos(v)) * sin(u)",
+    z: "r * sin(v)",
     uMin: "0",
     uMax: "2 * pi",
     vMin: "0",
     vMax: "2 * pi",
     uSteps: 80,
     vSteps: 40,
+    params: [
+      { name: "R", min: 0.5, max: 2, step: 0.01, value: 1 },
+      { name: "r", min: 0.05, max: 1, step: 0.01, value: 0.35 },
+    ],
   },
   cylinder: {
     name: "Cylinder",
@@ -68,9 +160,8 @@ const EXAMPLES = {
   },
   saddle: {
     name: "Saddle",
-    x: "u",
-    y: "v",
-    z: "u * u - v * v",
+    mode: "graph",
+    z: "x * x - y * y",
     uMin: "-1.5",
     uMax: "1.5",
     vMin: "-1.5",
@@ -78,6 +169,51 @@ const EXAMPLES = {
     uSteps: 45,
     vSteps: 45,
   },
+  ripple: {
+    name: "Ripple",
+    mode: "graph",
+    z: "0.3 * cos(4 * sqrt(x^2 + y^2)) * exp(-(x^2 + y^2) / 4)",
+    uMin: "-3",
+    uMax: "3",
+    vMin: "-3",
+    vMax: "3",
+    uSteps: 90,
+    vSteps: 90,
+  },
+  column: {
+    name: "Twisted column",
+    mode: "cylindrical",
+    x: "0.6 + 0.08 * cos(6 * θ + 3 * z)",
+    uMin: "0",
+    uMax: "2 * pi",
+    vMin: "-1.5",
+    vMax: "1.5",
+    uSteps: 120,
+    vSteps: 60,
+  },
+  blob: {
+    name: "Spherical blob",
+    mode: "spherical",
+    x: "1 + 0.3 * sin(3 * θ) * sin(φ)^2 + 0.2 * cos(2 * φ)",
+    uMin: "0",
+    uMax: "2 * pi",
+    vMin: "0",
+    vMax: "pi",
+    uSteps: 90,
+    vSteps: 45,
+  },
+  vase: {
+    name: "Vase",
+    mode: "revolution",
+    x: "0.5 + 0.25 * sin(2 * u) + 0.1 * u",
+    z: "u",
+    uMin: "0",
+    uMax: "3",
+    vMin: "0",
+    vMax: "2 * pi",
+    uSteps: 60,
+    vSteps: 60,
+  },
   heart: {
     name: "Heart",
     // classic parametric heart curve, extruded slightly in v
@@ -91,6 +227,64 @@ const EXAMPLES = {
     uSteps: 400,
     vSteps: 6,
   },
+  gyroid: {
+    name: "Gyroid",
+    mode: "implicit",
+    f: "sin(x) * cos(y) + sin(y) * cos(z) + sin(z) * cos(x)",
+    xMin: "-2 * pi",
+    xMax: "2 * pi",
+    yMin: "-2 * pi",
+    yMax: "2 * pi",
+    zMin: "-2 * pi",
+    zMax: "2 * pi",
+    implicitResolution: 80,
+  },
+  clebsch: {
+    name: "Clebsch cubic",
+    mode: "implicit",
+    // Clebsch diagonal surface in affine coordinates
+    f: "81 * (x^3 + y^3 + z^3) - 189 * (x^2 * y + x^2 * z + y^2 * x + y^2 * z + z^2 * x + z^2 * y) + 54 * x * y * z + 126 * (x * y + x * z + y * z) - 9 * (x^2 + y^2 + z^2) - 9 * (x + y + z) + 1",
+    xMin: "-1.5",
+    xMax: "1.5",
+    yMin: "-1.5",
+    yMax: "1.5",
+    zMin: "-1.5",
+    zMax: "1.5",
+    implicitResolution: 80,
+  },
+  metaballs: {
+    name: "Metaballs",
+    mode: "implicit",
+    f: "1 / ((x - a)^2 + y^2 + z^2) + 1 / ((x + a)^2 + y^2 + z^2) + 1 / (x^2 + (y - a)^2 + z^2) - 4",
+    xMin: "-2",
+    xMax: "2",
+    yMin: "-2",
+    yMax: "2",
+    zMin: "-1.5",
+    zMax: "1.5",
+    implicitResolution: 64,
+    params: [{ name: "a", min: 0.2, max: 1.5, step: 0.01, value: 0.7 }],
+  },
+  helix: {
+    name: "Helix",
+    mode: "curve",
+    x: "cos(u)",
+    y: "sin(u)",
+    z: "0.15 * u",
+    uMin: "0",
+    uMax: "6 * pi",
+    uSteps: 600,
+  },
+  trefoil: {
+    name: "Trefoil knot",
+    mode: "curve",
+    x: "(sin(u) + 2 * sin(2*u)) / 3",
+    y: "(cos(u) - 2 * cos(2*u)) / 3",
+    z: "-sin(3*u) / 3",
+    uMin: "0",
+    uMax: "2 * pi",
+    uSteps: 400,
+  },
 };
 
 // --- Three.js setup ---
@@ -148,422 +342,3516 @@ function onWindowResize() {
   renderer.setSize(width, height);
 }
 
-function animate() {
+function animate(now) {
   requestAnimationFrame(animate);
+  advanceTime(now);
+  advanceEpicycles(now);
   if (controls) controls.update();
   if (renderer && scene && camera) {
     renderer.render(scene, camera);
+    updateMarkerLabels();
   }
 }
 
-// --- Expression parsing helpers ---
+// `detail` is shown verbatim in a monospace block (e.g. a parse error caret)
+function showStatus(msg, type = "ok", detail = "") {
+  const el = statusEl();
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.remove("ok", "error");
+  if (type) el.classList.add(type);
+  if (detail) {
+    const pre = document.createElement("pre");
+    pre.className = "status-detail";
+    pre.textContent = detail;
+    el.appendChild(pre);
+  }
+}
 
-function compileExpression(exprRaw) {
-  if (!exprRaw || !exprRaw.trim()) {
-    throw new Error("Expression is empty.");
+function evalBound(label, src, scope) {
+  try {
+    return evalNumericExpression(src, scope);
+  } catch (e) {
+    e.message = `${label}: ${e.message}`;
+    throw e;
   }
+}
 
-  let expr = exprRaw.trim();
+// --- Mesh worker ---
 
-  // ^ -> **
-  expr = expr.replace(/\^/g, "**");
+// upper limits for one layer: meshes are built off the main thread
+const MAX_VERTICES = 1000000;
+const MAX_TRIANGLES = 1000000;
 
-  // pi / PI -> Math.PI
-  expr = expr.replace(/\bpi\b/gi, "Math.PI");
+// Per-vertex passes that still run on the page (curvature analysis,
+// curvature and custom colors, resampling each animation frame) stop at
+// this size; larger animated surfaces are re-meshed in the worker instead.
+const PAGE_MAX_VERTICES = 250000;
 
-  const funcs = [
-    "sin",
-    "cos",
-    "tan",
-    "asin",
-    "acos",
-    "atan",
-    "sinh",
-    "cosh",
-    "tanh",
-    "exp",
-    "log",
-    "sqrt",
-    "abs",
-    "floor",
-    "ceil",
-    "round",
-    "pow",
-    "min",
-    "max",
-  ];
+function vertexCount(layer) {
+  return layer.mesh.geometry.attributes.position.count;
+}
 
-  funcs.forEach((fn) => {
-    const re = new RegExp("\\b" + fn + "\\b", "g");
-    expr = expr.replace(re, "Math." + fn);
-  });
+// why the page can't color `vertices` vertices in the spec's color mode,
+// or null; implicit layers have no curvature colors
+function pageColorError(spec, vertices, implicit = false) {
+  const perVertex =
+    spec.colorMode === "custom" || (!implicit && CURVATURE_MODES[spec.colorMode]);
+  if (!perVertex || vertices <= PAGE_MAX_VERTICES) return null;
+  return (
+    `Curvature and custom colors are computed for up to 250,000 vertices; this mesh ` +
+    `has ${vertices.toLocaleString("en-US")}. Reduce the steps or pick another color mode.`
+  );
+}
 
-  let f;
-  try {
-    f = new Function("u", "v", `return ${expr};`);
-    f(0, 0);
-  } catch (e) {
-    throw new Error("Could not parse expression: " + e.message);
-  }
-  return f;
-}
-
-// numeric-only expressions for bounds (uses same pi/sin/cos treatment)
-function evalNumericExpression(exprRaw) {
-  if (!exprRaw || !exprRaw.trim()) {
-    throw new Error("Parameter bound expression is empty.");
-  }
-
-  let expr = exprRaw.trim();
-  expr = expr.replace(/\^/g, "**");
-  expr = expr.replace(/\bpi\b/gi, "Math.PI");
-
-  const funcs = [
-    "sin",
-    "cos",
-    "tan",
-    "asin",
-    "acos",
-    "atan",
-    "sinh",
-    "cosh",
-    "tanh",
-    "exp",
-    "log",
-    "sqrt",
-    "abs",
-    "floor",
-    "ceil",
-    "round",
-    "pow",
-    "min",
-    "max",
-  ];
-  funcs.forEach((fn) => {
-    const re = new RegExp("\\b" + fn + "\\b", "g");
-    expr = expr.replace(re, "Math." + fn);
-  });
+let meshWorker = null;
+let workerUnavailable = typeof Worker === "undefined";
+let nextJobId = 1;
+let activeJob = null; // { id, job, resolve, reject, onProgress }
 
-  try {
-    const f = new Function(`return (${expr});`);
-    const val = f();
-    if (!isFinite(val)) {
-      throw new Error(`Expression "${exprRaw}" evaluated to non-finite value.`);
-    }
-    return Number(val);
-  } catch (e) {
-    throw new Error(`Could not parse bound "${exprRaw}": ${e.message}`);
+function getMeshWorker() {
+  if (!meshWorker) {
+    meshWorker = new Worker(new URL("./surface-worker.js", import.meta.url), {
+      type: "module",
+    });
+    meshWorker.onmessage = handleWorkerMessage;
+    meshWorker.onerror = handleWorkerFailure;
   }
+  return meshWorker;
 }
 
-function showStatus(msg, type = "ok") {
-  const el = statusEl();
-  if (!el) return;
-  el.textContent = msg || "";
-  el.classList.remove("ok", "error");
-  if (type) el.classList.add(type);
+function handleWorkerMessage(e) {
+  const { id, type } = e.data;
+  if (!activeJob || activeJob.id !== id) return;
+
+  const entry = activeJob;
+  if (type === "progress") {
+    if (entry.onProgress) entry.onProgress(e.data.stage, e.data.fraction);
+    return;
+  }
+  activeJob = null;
+  if (type === "done") {
+    entry.resolve(e.data.result);
+  } else {
+    const error = new Error(e.data.message);
+    error.snippet = e.data.snippet;
+    entry.reject(error);
+  }
 }
 
-// --- Parametric surface building ---
+// the worker could not run (e.g. no module-worker support): finish the job
+// on the main thread and stop using workers
+function handleWorkerFailure(e) {
+  e.preventDefault();
+  workerUnavailable = true;
+  if (meshWorker) meshWorker.terminate();
+  meshWorker = null;
+  const entry = activeJob;
+  activeJob = null;
+  if (entry) runOnMainThread(entry);
+}
+
+function runOnMainThread({ job, resolve, reject, onProgress }) {
+  try {
+    resolve(runMeshJob(job, onProgress));
+  } catch (e) {
+    reject(e);
+  }
+}
 
-function buildSurface() {
-  const xExpr = document.getElementById("expr-x").value;
-  const yExpr = document.getElementById("expr-y").value;
-  const zExpr = document.getElementById("expr-z").value;
+// Build mesh data for `job` (see meshSurface / meshImplicit) in the
+// worker. Starting a job cancels the one in flight: its worker is
+// terminated and its promise resolves to null.
+function requestMesh(job, onProgress) {
+  cancelMeshJob();
+  return new Promise((resolve, reject) => {
+    const entry = { id: nextJobId++, job, resolve, reject, onProgress };
+    if (!workerUnavailable) {
+      try {
+        getMeshWorker().postMessage({ id: entry.id, job });
+        activeJob = entry;
+        return;
+      } catch (e) {
+        workerUnavailable = true;
+      }
+    }
+    runOnMainThread(entry);
+  });
+}
 
-  const uMinStr = document.getElementById("u-min").value;
-  const uMaxStr = document.getElementById("u-max").value;
-  const vMinStr = document.getElementById("v-min").value;
-  const vMaxStr = document.getElementById("v-max").value;
+function cancelMeshJob() {
+  if (!activeJob) return;
+  meshWorker.terminate();
+  meshWorker = null;
+  activeJob.resolve(null);
+  activeJob = null;
+}
 
-  const uStepsStr = document.getElementById("u-steps").value;
-  const vStepsStr = document.getElementById("v-steps").value;
+// buildLayer progress callback: a progress bar plus the status line
+function buildProgress(layer) {
+  const bar = document.getElementById("build-progress");
+  return (stage, fraction) => {
+    bar.hidden = false;
+    bar.value = fraction;
+    const detail =
+      stage === "sampling" ? `${stage} ${Math.round(fraction * 100)}%` : `${stage}…`;
+    showStatus(`${layer.spec.name}: ${detail}`, "");
+  };
+}
 
-  const wireframe = document.getElementById("wireframe-toggle").checked;
+function hideBuildProgress() {
+  document.getElementById("build-progress").hidden = true;
+}
 
-  let uMin, uMax, vMin, vMax;
-  let uSteps, vSteps;
+// --- Parametric surface building ---
 
-  try {
-    uMin = evalNumericExpression(uMinStr);
-    uMax = evalNumericExpression(uMaxStr);
-    vMin = evalNumericExpression(vMinStr);
-    vMax = evalNumericExpression(vMaxStr);
+// Compile and sample `layer.spec` in the mesh worker, replacing the layer's
+// mesh. Resolves to false when a newer build cancelled this one; throws on
+// invalid input so callers can report which layer failed.
+async function buildLayer(layer, onProgress) {
+  const spec = layer.spec;
+  if (spec.mode === "curve") return buildCurveLayer(layer);
+  if (spec.mode === "implicit") return buildImplicitLayer(layer, onProgress);
+
+  const paramScope = getParamScope();
+  const variables = [...BUILTIN_VARIABLES, ...Object.keys(paramScope)];
+  // what u and v stand for in other coordinate systems
+  const names = COORDINATE_MODES[spec.mode] || { u: "u", v: "v" };
+
+  const uMin = evalBound(`${names.u} min`, spec.uMin, paramScope);
+  const uMax = evalBound(`${names.u} max`, spec.uMax, paramScope);
+  const vMin = evalBound(`${names.v} min`, spec.vMin, paramScope);
+  const vMax = evalBound(`${names.v} max`, spec.vMax, paramScope);
+
+  if (!isFinite(uMin) || !isFinite(uMax) || !isFinite(vMin) || !isFinite(vMax)) {
+    throw new Error("Parameter bounds must evaluate to finite numbers.");
+  }
+  if (uMax <= uMin || vMax <= vMin) {
+    throw new Error("Max bounds must be greater than min bounds.");
+  }
 
-    if (!isFinite(uMin) || !isFinite(uMax) || !isFinite(vMin) || !isFinite(vMax)) {
-      throw new Error("Parameter bounds must evaluate to finite numbers.");
-    }
-    if (uMax <= uMin || vMax <= vMin) {
-      throw new Error("Max bounds must be greater than min bounds.");
-    }
+  const { uSteps, vSteps } = spec;
 
-    uSteps = parseInt(uStepsStr, 10);
-    vSteps = parseInt(vStepsStr, 10);
+  if (!Number.isInteger(uSteps) || uSteps < 4) {
+    throw new Error(`${names.u} steps must be an integer ≥ 4.`);
+  }
+  if (!Number.isInteger(vSteps) || vSteps < 4) {
+    throw new Error(`${names.v} steps must be an integer ≥ 4.`);
+  }
 
-    if (!Number.isInteger(uSteps) || uSteps < 4) {
-      throw new Error("u steps must be an integer ≥ 4.");
+  const adaptive = spec.meshMode === "adaptive";
+  if (adaptive) {
+    const { meshTolerance, maxTriangles } = spec;
+    if (!(meshTolerance > 0 && meshTolerance < 1)) {
+      throw new Error("Adaptive tolerance must be between 0 and 1.");
     }
-    if (!Number.isInteger(vSteps) || vSteps < 4) {
-      throw new Error("v steps must be an integer ≥ 4.");
+    if (!Number.isInteger(maxTriangles) || maxTriangles < 100 || maxTriangles > MAX_TRIANGLES) {
+      throw new Error("Triangle budget must be an integer between 100 and 1,000,000.");
     }
-
-    if (uSteps * vSteps > 50000) {
-      throw new Error("Grid too dense (uSteps * vSteps > 50k). Reduce resolution.");
+    if (uSteps * vSteps * 2 > maxTriangles) {
+      throw new Error("The base grid alone exceeds the triangle budget. Reduce u/v steps.");
     }
-  } catch (e) {
-    showStatus(e.message, "error");
-    return;
+  } else if ((uSteps + 1) * (vSteps + 1) > MAX_VERTICES) {
+    throw new Error("Grid too dense (more than 1 million vertices). Reduce resolution.");
   }
 
-  let fx, fy, fz;
-  try {
-    fx = compileExpression(xExpr);
-    fy = compileExpression(yExpr);
-    fz = compileExpression(zExpr);
-  } catch (e) {
-    showStatus(e.message, "error");
-    return;
+  if (spec.clampValues && !(spec.clampMin < spec.clampMax)) {
+    throw new Error("Clamp range: min must be less than max.");
   }
 
-  const uCount = uSteps + 1;
-  const vCount = vSteps + 1;
-  const positions = new Float32Array(uCount * vCount * 3);
-
-  let pIndex = 0;
-  for (let i = 0; i < uCount; i++) {
-    const u = uMin + ((uMax - uMin) * i) / uSteps;
-    for (let j = 0; j < vCount; j++) {
-      const v = vMin + ((vMax - vMin) * j) / vSteps;
-      let x, y, z;
-      try {
-        x = fx(u, v);
-        y = fy(u, v);
-        z = fz(u, v);
-      } catch (e) {
-        showStatus(
-          `Error evaluating at (u, v) = (${u.toFixed(3)}, ${v.toFixed(
-            3
-          )}): ${e.message}`,
-          "error"
-        );
-        return;
-      }
-      if (!isFinite(x) || !isFinite(y) || !isFinite(z)) {
-        showStatus(
-          `Non-finite value at (u, v) = (${u.toFixed(3)}, ${v.toFixed(3)}).`,
-          "error"
-        );
-        return;
-      }
+  const iso = spec.isoLines
+    ? isoLineOptions(spec, names, paramScope, { uMin, uMax, vMin, vMax })
+    : null;
+
+  // other coordinate systems are rewritten as x(u, v), y(u, v), z(u, v)
+  const source = COORDINATE_MODES[spec.mode]
+    ? cartesianFields(spec, ["t", ...Object.keys(paramScope)])
+    : spec;
+
+  // compile here as well: the layer needs the fields for analysis and
+  // animation, and syntax errors are reported without a worker round trip
+  const fx = compileField("x(u, v)", source.x, variables);
+  const fy = compileField("y(u, v)", source.y, variables);
+  const fz = compileField("z(u, v)", source.z, variables);
+
+  // compile the custom color expression up front so typos are reported
+  // together with the other fields
+  const fc =
+    spec.colorMode === "custom"
+      ? compileField("c(u, v)", spec.colorExpr, [...variables, "x", "y", "z"])
+      : null;
+
+  const job = {
+    x: source.x,
+    y: source.y,
+    z: source.z,
+    variables,
+    scope: { ...paramScope, t: timeState.t, u: 0, v: 0 },
+    uMin,
+    uMax,
+    vMin,
+    vMax,
+    uSteps,
+    vSteps,
+    adaptive: adaptive
+      ? { tolerance: spec.meshTolerance, maxTriangles: spec.maxTriangles }
+      : null,
+    skipInvalid: spec.invalidMode === "skip",
+    clamp: spec.clampValues ? { min: spec.clampMin, max: spec.clampMax } : null,
+    outlineHoles: spec.outlineHoles,
+  };
 
-      positions[pIndex++] = x;
-      positions[pIndex++] = y;
-      positions[pIndex++] = z;
-    }
+  const result = await requestMesh(job, onProgress);
+  // superseded by a newer build, or the layer was deleted meanwhile
+  if (!result || !layers.includes(layer)) return false;
+  if (adaptive && result.triangles.length / 3 > spec.maxTriangles) {
+    throw new Error("The adaptive mesh went over its triangle budget.");
   }
+  const colorError = pageColorError(spec, result.positions.length / 3);
+  if (colorError) throw new Error(colorError);
+
+  const surface = {
+    ...job,
+    fx,
+    fy,
+    fz,
+    fc,
+    coords: result.coords,
+    triangles: result.triangles,
+    valid: result.valid,
+    invalidCount: result.invalidCount,
+    holeEdges: result.holeEdges,
+    iso,
+    usesTime: [fx, fy, fz, fc].some((f) => f && f.identifiers.has("t")),
+    // kept to re-mesh large animated surfaces in the worker
+    job,
+  };
+  addTangentFields(surface);
+
+  const geometry = surfaceGeometry(result);
+  computeSurfaceBounds(geometry, surface);
+
+  const mesh = new THREE.Mesh(geometry, surfaceMaterial(spec));
+  mesh.name = spec.name;
+  mesh.visible = spec.visible;
+  updateHoleOutline(mesh, surface);
+  updateIsoLines(mesh, surface);
+
+  disposeLayerMesh(layer);
+  layer.mesh = mesh;
+  layer.surface = surface;
+  applyLayerColors(layer);
+  applyLayerTexture(layer);
+  scene.add(mesh);
+  return true;
+}
 
+function surfaceGeometry(result) {
   const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("position", new THREE.BufferAttribute(result.positions, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(result.normals, 3));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(result.uvs, 2));
+  geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+  return geometry;
+}
 
-  const indices = [];
-  for (let i = 0; i < uSteps; i++) {
-    for (let j = 0; j < vSteps; j++) {
-      const a = i * vCount + j;
-      const b = (i + 1) * vCount + j;
-      const c = (i + 1) * vCount + (j + 1);
-      const d = i * vCount + (j + 1);
+// Re-mesh a surface with more than PAGE_MAX_VERTICES vertices at the
+// current t in the worker: such surfaces are not resampled frame by frame.
+// Results are dropped if the layer was rebuilt or deleted meanwhile.
+async function resampleSurfaceMesh(layer, surface) {
+  if (layer.surface !== surface || !layers.includes(layer)) return;
+  // a build is using the worker: wait rather than cancel it
+  if (activeJob) {
+    whenTimeSettles(layer.id, () => resampleSurfaceMesh(layer, surface));
+    return;
+  }
+  const job = { ...surface.job, scope: { ...surface.job.scope, t: timeState.t } };
+  try {
+    const result = await requestMesh(job);
+    if (!result || layer.surface !== surface) return;
+    surface.scope.t = job.scope.t;
+    surface.coords = result.coords;
+    surface.triangles = result.triangles;
+    surface.valid = result.valid;
+    surface.invalidCount = result.invalidCount;
+    surface.holeEdges = result.holeEdges;
+
+    const geometry = surfaceGeometry(result);
+    computeSurfaceBounds(geometry, surface);
+    layer.mesh.geometry.dispose();
+    layer.mesh.geometry = geometry;
+    updateHoleOutline(layer.mesh, surface);
+    updateIsoLines(layer.mesh, surface);
+    layer.analysis = null;
+    applyLayerColors(layer);
+  } catch (e) {
+    setPlaying(false);
+    showStatus(`${layer.spec.name}, t = ${job.scope.t.toFixed(3)}: ${e.message}`, "error");
+  }
+}
 
-      indices.push(a, b, d);
-      indices.push(b, c, d);
-    }
+// Bounding sphere of the valid samples only: skipped samples sit at the
+// origin and would throw off the camera framing, the clipping planes and
+// the size of markers and glyphs.
+function computeSurfaceBounds(geometry, surface) {
+  if (!surface.invalidCount) {
+    geometry.computeBoundingSphere();
+    return;
   }
-  geometry.setIndex(indices);
-  geometry.computeVertexNormals();
-  geometry.computeBoundingSphere();
+  const positions = geometry.attributes.position.array;
+  const box = new THREE.Box3();
+  const p = new THREE.Vector3();
+  surface.valid.forEach((ok, i) => {
+    if (ok) box.expandByPoint(p.fromArray(positions, i * 3));
+  });
+  const sphere = geometry.boundingSphere || new THREE.Sphere();
+  box.getCenter(sphere.center);
+  let radiusSq = 0;
+  surface.valid.forEach((ok, i) => {
+    if (!ok) return;
+    radiusSq = Math.max(radiusSq, sphere.center.distanceToSquared(p.fromArray(positions, i * 3)));
+  });
+  sphere.radius = Math.sqrt(radiusSq);
+  geometry.boundingSphere = sphere;
+}
 
-  const material = new THREE.MeshStandardMaterial({
-    color: 0x60a5fa,
+function surfaceMaterial(spec) {
+  return new THREE.MeshStandardMaterial({
+    color: spec.color,
     metalness: 0.15,
     roughness: 0.45,
     side: THREE.DoubleSide,
-    wireframe: wireframe,
+    wireframe: spec.wireframe,
+    // keeps grid lines drawn on the surface from flickering
+    polygonOffset: true,
+    polygonOffsetFactor: 1,
+    polygonOffsetUnits: 1,
   });
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
+function disposeLayerMesh(layer) {
+  disposeAnalysisOverlay(layer);
+  layer.analysis = null;
+  if (!layer.mesh) return;
+  scene.remove(layer.mesh);
+  layer.mesh.traverse((child) => {
+    if (child === layer.mesh) return;
+    child.geometry.dispose();
+    child.material.dispose();
+  });
+  layer.mesh.geometry.dispose();
+  if (layer.mesh.material.map) layer.mesh.material.map.dispose();
+  layer.mesh.material.dispose();
+  layer.mesh = null;
+  layer.surface = null;
+  layer.curve = null;
+  layer.implicit = null;
+}
 
-  if (currentMesh) {
-    scene.remove(currentMesh);
-    currentMesh.geometry.dispose();
-    currentMesh.material.dispose();
+// --- Implicit surfaces ---
+
+// grid cells along the longest side of the box, in general and for the
+// frames of an animation
+const MAX_IMPLICIT_RESOLUTION = 200;
+const ANIMATED_RESOLUTION = 48;
+
+// Sample F(x, y, z) over the layer's box in the mesh worker and contour
+// F = 0 by marching cubes, replacing the layer's mesh. Resolves to false
+// when superseded, like buildLayer.
+async function buildImplicitLayer(layer, onProgress) {
+  const spec = layer.spec;
+  const paramScope = getParamScope();
+  const variables = ["x", "y", "z", "t", ...Object.keys(paramScope)];
+
+  const box = {};
+  for (const axis of ["x", "y", "z"]) {
+    const min = evalBound(`${axis} min`, spec[`${axis}Min`], paramScope);
+    const max = evalBound(`${axis} max`, spec[`${axis}Max`], paramScope);
+    if (!isFinite(min) || !isFinite(max)) {
+      throw new Error("Box bounds must evaluate to finite numbers.");
+    }
+    if (max <= min) {
+      throw new Error("Max bounds must be greater than min bounds.");
+    }
+    box[`${axis}Min`] = min;
+    box[`${axis}Max`] = max;
   }
-  currentMesh = mesh;
-  scene.add(mesh);
 
-  const bs = geometry.boundingSphere;
-  if (bs) {
-    const r = bs.radius || 1;
-    controls.target.copy(bs.center);
+  const resolution = spec.implicitResolution;
+  if (
+    !Number.isInteger(resolution) ||
+    resolution < 4 ||
+    resolution > MAX_IMPLICIT_RESOLUTION
+  ) {
+    throw new Error("Resolution must be an integer between 4 and 200.");
+  }
 
-    const offset = r * 2.8;
-    camera.position.set(
-      bs.center.x + offset,
-      bs.center.y + offset * 0.4,
-      bs.center.z + offset
-    );
+  const F = compileField("F(x, y, z)", spec.f, variables);
+  const fc =
+    spec.colorMode === "custom"
+      ? compileField("c(x, y, z)", spec.colorExpr, variables)
+      : null;
+  const job = {
+    kind: "implicit",
+    f: spec.f,
+    variables,
+    scope: { ...paramScope, t: timeState.t, x: 0, y: 0, z: 0 },
+    box,
+    resolution,
+  };
 
-    camera.near = r / 50 || 0.01;
-    camera.far = r * 40 || 200;
-    camera.updateProjectionMatrix();
+  const result = await requestMesh(job, onProgress);
+  if (!result || !layers.includes(layer)) return false;
+  if (!result.indices.length) {
+    throw new Error("F(x, y, z) does not change sign inside the box — no surface found.");
   }
+  const colorError = pageColorError(spec, result.positions.length / 3, true);
+  if (colorError) throw new Error(colorError);
+
+  const mesh = new THREE.Mesh(implicitGeometry(result), surfaceMaterial(spec));
+  mesh.name = spec.name;
+  mesh.visible = spec.visible;
+
+  disposeLayerMesh(layer);
+  layer.mesh = mesh;
+  layer.implicit = {
+    F,
+    fc,
+    job,
+    invalidCount: result.invalidCount,
+    triangles: result.indices.length / 3,
+    usesTime: [F, fc].some((f) => f && f.identifiers.has("t")),
+  };
+  applyLayerColors(layer);
+  scene.add(mesh);
+  return true;
+}
 
-  showStatus("Surface updated ✔", "ok");
+function implicitGeometry(result) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(result.positions, 3));
+  geometry.setAttribute("normal", new THREE.BufferAttribute(result.normals, 3));
+  geometry.setIndex(new THREE.BufferAttribute(result.indices, 1));
+  geometry.computeBoundingSphere();
+  return geometry;
 }
 
-// --- Presets (save / load & examples) ---
+function setImplicitGeometry(layer, result) {
+  layer.mesh.geometry.dispose();
+  layer.mesh.geometry = implicitGeometry(result);
+  layer.implicit.invalidCount = result.invalidCount;
+  layer.implicit.triangles = result.indices.length / 3;
+  applyLayerColors(layer);
+}
 
-function applyPresetToUI(preset) {
-  if (!preset) return;
+// Re-contour an animated implicit surface at the current t. Frames are
+// contoured on the main thread on a grid of at most ANIMATED_RESOLUTION
+// cells; the full grid follows in the mesh worker once t settles.
+function updateImplicitMesh(layer) {
+  const { implicit } = layer;
+  implicit.job.scope.t = timeState.t;
+  const coarse = implicit.job.resolution > ANIMATED_RESOLUTION;
+  const job = coarse ? { ...implicit.job, resolution: ANIMATED_RESOLUTION } : implicit.job;
+  setImplicitGeometry(layer, runMeshJob(job));
+  if (coarse) whenTimeSettles(layer.id, () => refineImplicitMesh(layer, implicit));
+}
 
-  if (preset.name) {
-    const nameInput = document.getElementById("preset-name");
-    if (nameInput) nameInput.value = preset.name;
+// the full-resolution contour of a layer drawn coarse while t changed,
+// unless the layer was rebuilt or deleted since
+async function refineImplicitMesh(layer, implicit) {
+  if (layer.implicit !== implicit || !layers.includes(layer)) return;
+  // a build is using the worker: wait rather than cancel it
+  if (activeJob) {
+    whenTimeSettles(layer.id, () => refineImplicitMesh(layer, implicit));
+    return;
+  }
+  const job = { ...implicit.job, scope: { ...implicit.job.scope } };
+  try {
+    const result = await requestMesh(job);
+    // cancelled, rebuilt, or t moved on meanwhile
+    if (!result || layer.implicit !== implicit || implicit.job.scope.t !== job.scope.t) return;
+    setImplicitGeometry(layer, result);
+  } catch (e) {
+    showStatus(`${layer.spec.name}, t = ${timeState.t.toFixed(3)}: ${e.message}`, "error");
   }
+}
+
+// --- Space curves ---
+
+const MAX_CURVE_STEPS = 100000;
 
-  document.getElementById("expr-x").value = preset.x || "";
-  document.getElementById("expr-y").value = preset.y || "";
-  document.getElementById("expr-z").value = preset.z || "";
+const FRAME_COLORS = [0xef4444, 0x22c55e, 0x3b82f6]; // T, N, B
 
-  document.getElementById("u-min").value = preset.uMin ?? "";
-  document.getElementById("u-max").value = preset.uMax ?? "";
-  document.getElementById("v-min").value = preset.vMin ?? "";
-  document.getElementById("v-max").value = preset.vMax ?? "";
+// Compile r(u) with its first three derivatives and sample it, replacing
+// the layer's mesh with a tube or a polyline. Curves are cheap enough to
+// build on the main thread.
+function buildCurveLayer(layer) {
+  const spec = layer.spec;
+  const paramScope = getParamScope();
+  const variables = ["u", "t", ...Object.keys(paramScope)];
 
-  if (preset.uSteps != null) {
-    document.getElementById("u-steps").value = preset.uSteps;
+  const uMin = evalBound("u min", spec.uMin, paramScope);
+  const uMax = evalBound("u max", spec.uMax, paramScope);
+  if (!isFinite(uMin) || !isFinite(uMax)) {
+    throw new Error("Parameter bounds must evaluate to finite numbers.");
   }
-  if (preset.vSteps != null) {
-    document.getElementById("v-steps").value = preset.vSteps;
+  if (uMax <= uMin) {
+    throw new Error("Max bounds must be greater than min bounds.");
   }
-}
 
-function applyExample(key) {
-  if (key === "custom") {
-    showStatus("Custom mode: your existing equations are preserved.", "ok");
-    return;
+  const steps = spec.uSteps;
+  if (!Number.isInteger(steps) || steps < 4 || steps > MAX_CURVE_STEPS) {
+    throw new Error("u steps must be an integer between 4 and 100,000.");
+  }
+  if (spec.curveStyle === "tube" && !(spec.tubeRadius > 0)) {
+    throw new Error("Tube radius must be a positive number.");
   }
 
-  const ex = EXAMPLES[key];
-  if (!ex) return;
+  const r = ["x", "y", "z"].map((c) => compileField(`${c}(u)`, spec[c], variables));
+  const h = (uMax - uMin) * 1e-4;
+  const derive = (field) => field.map((f) => partialDerivative(f, "u", h, variables));
+  const d1 = derive(r);
+  const d2 = derive(d1);
+  const fields = { r, d1, d2, d3: derive(d2) };
+
+  const scope = { ...paramScope, t: timeState.t, u: 0 };
+  const samples = sampleCurve(fields, scope, uMin, uMax, steps);
+  if (samples.invalidCount === samples.count) {
+    throw new Error("The curve has no finite points on this u range.");
+  }
 
-  applyPresetToUI(ex);
-  buildSurface();
+  const geometry = curveGeometry(spec, samples);
+  const mesh =
+    spec.curveStyle === "line"
+      ? new THREE.LineSegments(
+          geometry,
+          new THREE.LineBasicMaterial({ color: spec.color })
+        )
+      : new THREE.Mesh(
+          geometry,
+          new THREE.MeshStandardMaterial({
+            color: spec.color,
+            metalness: 0.15,
+            roughness: 0.45,
+            wireframe: spec.wireframe,
+          })
+        );
+  mesh.name = spec.name;
+  mesh.visible = spec.visible;
+
+  disposeLayerMesh(layer);
+  layer.mesh = mesh;
+  layer.curve = {
+    fields,
+    du: d1,
+    dv: null,
+    scope,
+    uMin,
+    uMax,
+    steps,
+    samples,
+    usesTime: r.some((f) => f.identifiers.has("t")),
+  };
+  updateFrameOverlay(layer);
+  if (layer === selectedLayer()) renderCurveReadout(layer);
+  scene.add(mesh);
+  return true;
 }
 
-function collectPresetFromUI() {
-  const name =
-    document.getElementById("preset-name").value.trim() || "My surface";
-
-  const uSteps = parseInt(document.getElementById("u-steps").value, 10);
-  const vSteps = parseInt(document.getElementById("v-steps").value, 10);
-
+// the buffers of a curve's mesh: { attributes: { name: [array, itemSize] },
+// indices }
+function curveBuffers(spec, samples) {
+  if (spec.curveStyle === "line") {
+    const { positions, indices } = lineMesh(samples);
+    return { attributes: { position: [positions, 3] }, indices };
+  }
+  const frames = tubeFrames(samples, spec.curveFrame);
+  const tube = tubeMesh(samples, frames, spec.tubeRadius);
   return {
-    type: "paramSurfacePreset",
-    version: 1,
-    name,
-    x: document.getElementById("expr-x").value,
-    y: document.getElementById("expr-y").value,
-    z: document.getElementById("expr-z").value,
-    uMin: document.getElementById("u-min").value,
-    uMax: document.getElementById("u-max").value,
-    vMin: document.getElementById("v-min").value,
-    vMax: document.getElementById("v-max").value,
-    uSteps: Number.isFinite(uSteps) ? uSteps : undefined,
-    vSteps: Number.isFinite(vSteps) ? vSteps : undefined,
+    attributes: {
+      position: [tube.positions, 3],
+      normal: [tube.normals, 3],
+      uv: [tube.uvs, 2],
+    },
+    indices: tube.indices,
   };
 }
 
-function handleSavePreset() {
-  try {
-    const preset = collectPresetFromUI();
-    const json = JSON.stringify(preset, null, 2);
+function curveGeometry(spec, samples) {
+  const { attributes, indices } = curveBuffers(spec, samples);
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(attributes).forEach(([name, [array, itemSize]]) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  });
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeBoundingSphere();
+  return geometry;
+}
 
-    const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-
-    const slug =
-      (preset.name || "surface")
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-+|-+$/g, "") || "surface";
-
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${slug}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+// resample an animated curve at the current t, writing into the mesh's
+// buffers (the sample count, hence their sizes, stays the same)
+function updateCurveMesh(layer) {
+  const { curve, spec } = layer;
+  curve.samples = sampleCurve(curve.fields, curve.scope, curve.uMin, curve.uMax, curve.steps);
+  const geometry = layer.mesh.geometry;
+  const { attributes, indices } = curveBuffers(spec, curve.samples);
+  const fits = Object.entries(attributes).every(([name, [array]]) => {
+    const attribute = geometry.attributes[name];
+    return attribute && attribute.array.length === array.length;
+  });
 
-    showStatus(`Preset "${preset.name}" downloaded.`, "ok");
-  } catch (e) {
-    showStatus("Failed to save preset: " + (e.message || e), "error");
+  if (fits) {
+    Object.entries(attributes).forEach(([name, [array]]) => {
+      geometry.attributes[name].array.set(array);
+      geometry.attributes[name].needsUpdate = true;
+    });
+    // the index only changes where samples turn valid or invalid
+    const index = geometry.index;
+    if (index.array.length === indices.length) {
+      index.array.set(indices);
+      index.needsUpdate = true;
+    } else {
+      geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    }
+    geometry.computeBoundingSphere();
+  } else {
+    geometry.dispose();
+    layer.mesh.geometry = curveGeometry(spec, curve.samples);
   }
+  updateFrameOverlay(layer);
+  if (layer === selectedLayer()) renderCurveReadout(layer);
 }
 
-function handleLoadPreset(event) {
-  const file = event.target.files && event.target.files[0];
-  if (!file) return;
+// valid sample nearest to spec.framePoint (0..1 along the u range), or -1
+function framePointIndex(layer) {
+  const { count, valid } = layer.curve.samples;
+  const target = Math.round(layer.spec.framePoint * (count - 1));
+  for (let d = 0; d < count; d++) {
+    if (valid[target - d]) return target - d;
+    if (valid[target + d]) return target + d;
+  }
+  return -1;
+}
 
-  const reader = new FileReader();
-  reader.onload = (e) => {
-    try {
-      const text = e.target.result;
-      const data = JSON.parse(text);
+// T (red), N (green) and B (blue) at the frame point plus a marker dot,
+// as children of the curve's mesh
+function updateFrameOverlay(layer) {
+  const mesh = layer.mesh;
+  let axes = mesh.getObjectByName("curve-frame");
+  let marker = mesh.getObjectByName("curve-frame-point");
+  const index = layer.spec.showFrame ? framePointIndex(layer) : -1;
+
+  if (index < 0) {
+    [axes, marker].forEach((obj) => {
+      if (!obj) return;
+      mesh.remove(obj);
+      obj.geometry.dispose();
+      obj.material.dispose();
+    });
+    return;
+  }
 
-      if (!data || typeof data !== "object") {
-        throw new Error("File does not contain a valid preset object.");
-      }
+  if (!axes) {
+    const colors = new Float32Array(18);
+    FRAME_COLORS.forEach((hex, k) => {
+      const c = new THREE.Color(hex);
+      colors.set([c.r, c.g, c.b, c.r, c.g, c.b], k * 6);
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(18), 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    axes = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false })
+    );
+    axes.name = "curve-frame";
+    axes.renderOrder = 3;
+    mesh.add(axes);
+
+    const dot = new THREE.BufferGeometry();
+    dot.setAttribute("position", new THREE.BufferAttribute(new Float32Array(3), 3));
+    marker = new THREE.Points(
+      dot,
+      new THREE.PointsMaterial({
+        color: 0xfacc15,
+        size: 10,
+        sizeAttenuation: false,
+        depthTest: false,
+      })
+    );
+    marker.name = "curve-frame-point";
+    marker.renderOrder = 3;
+    mesh.add(marker);
+  }
 
-      let preset = data;
-      if (Array.isArray(data.presets) && data.presets.length > 0) {
-        preset = data.presets[0];
-      }
+  const { samples } = layer.curve;
+  const read = (array) => [0, 1, 2].map((k) => array[index * 3 + k]);
+  const p = read(samples.points);
+  // N and B are undefined where the curvature vanishes
+  const directions = samples.frenet[index]
+    ? [read(samples.tangents), read(samples.normals), read(samples.binormals)]
+    : [read(samples.tangents), [0, 0, 0], [0, 0, 0]];
+  const length = 0.2 * (mesh.geometry.boundingSphere.radius || 1);
+
+  const position = axes.geometry.attributes.position;
+  directions.forEach((d, k) => {
+    position.array.set(p, k * 6);
+    position.array.set(d.map((x, j) => p[j] + length * x), k * 6 + 3);
+  });
+  position.needsUpdate = true;
+  axes.geometry.computeBoundingSphere();
 
-      applyPresetToUI(preset);
-      buildSurface();
+  marker.geometry.attributes.position.array.set(p);
+  marker.geometry.attributes.position.needsUpdate = true;
+  marker.geometry.computeBoundingSphere();
+}
 
-      showStatus(`Loaded preset "${preset.name || file.name}".`, "ok");
-    } catch (err) {
-      showStatus("Could not read preset file: " + err.message, "error");
-    } finally {
-      event.target.value = "";
-    }
-  };
-  reader.readAsText(file);
+// point, curvature and torsion at the frame point of the selected curve
+function renderCurveReadout(layer) {
+  const out = document.getElementById("curve-readout");
+  const index = layer && layer.curve ? framePointIndex(layer) : -1;
+  if (index < 0) {
+    out.textContent = "";
+    return;
+  }
+
+  const s = layer.curve.samples;
+  const point = [0, 1, 2].map((k) => formatNumber(s.points[index * 3 + k]));
+  const k = s.curvature[index];
+  const lines = [
+    `u = ${formatNumber(s.u[index])}   r = (${point.join(", ")})`,
+    `κ = ${formatNumber(k)}${k > 0 ? ` (radius ${formatNumber(1 / k)})` : ""}` +
+      `   τ = ${formatNumber(s.torsion[index])}   |r′| = ${formatNumber(s.speed[index])}`,
+  ];
+  if (!s.frenet[index]) lines.push("N and B are undefined here (κ = 0).");
+  out.textContent = lines.join("\n");
 }
 
-// --- Fourier drawing section ---
+// move the frame point of the selected curve along the slider or by
+// dragging its marker in the viewer
+function setFramePoint(layer, value) {
+  layer.spec.framePoint = value;
+  document.getElementById("frame-point").value = value;
+  if (!layer.curve) return;
+  updateFrameOverlay(layer);
+  renderCurveReadout(layer);
+}
 
-function clearDrawCanvas() {
-  if (!drawCtx || !drawCanvas) return;
-  drawCtx.clearRect(0, 0, drawCanvas.width, drawCanvas.height);
-  drawCtx.fillStyle = "#020617";
-  drawCtx.fillRect(0, 0, drawCanvas.width, drawCanvas.height);
-  drawCtx.strokeStyle = "rgba(148,163,184,0.5)";
-  drawCtx.lineWidth = 1;
-  drawCtx.strokeRect(0.5, 0.5, drawCanvas.width - 1, drawCanvas.height - 1);
+// screen distance (px) from a pointer event to sample i of a curve
+function curveSampleDistance(layer, i, e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const points = layer.curve.samples.points;
+  const p = new THREE.Vector3(points[i * 3], points[i * 3 + 1], points[i * 3 + 2])
+    .applyMatrix4(layer.mesh.matrixWorld)
+    .project(camera);
+  if (p.z > 1) return Infinity; // behind the camera
+  const x = rect.left + ((p.x + 1) / 2) * rect.width;
+  const y = rect.top + ((1 - p.y) / 2) * rect.height;
+  return Math.hypot(x - e.clientX, y - e.clientY);
 }
 
-function setupFourierDrawing() {
-  drawCanvas = document.getElementById("draw-canvas");
-  if (!drawCanvas) return;
-  drawCtx = drawCanvas.getContext("2d");
-  clearDrawCanvas();
+function setupCurveDragging() {
+  const canvas = renderer.domElement;
+  let dragging = null;
+
+  // capture phase, so the orbit controls don't see a drag that starts on
+  // the marker
+  canvas.addEventListener(
+    "pointerdown",
+    (e) => {
+      const layer = selectedLayer();
+      if (!layer || !layer.curve || !layer.spec.showFrame || !layer.spec.visible) return;
+      const index = framePointIndex(layer);
+      if (index < 0 || curveSampleDistance(layer, index, e) > 12) return;
+      dragging = layer;
+      controls.enabled = false;
+      e.stopImmediatePropagation();
+    },
+    { capture: true }
+  );
 
-  const getPos = (evt) => {
-    const rect = drawCanvas.getBoundingClientRect();
-    let clientX, clientY;
-    if (evt.touches && evt.touches.length > 0) {
+  window.addEventListener("pointermove", (e) => {
+    if (!dragging || !dragging.curve) return;
+    const { count, valid } = dragging.curve.samples;
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let i = 0; i < count; i++) {
+      if (!valid[i]) continue;
+      const d = curveSampleDistance(dragging, i, e);
+      if (d < bestDistance) {
+        best = i;
+        bestDistance = d;
+      }
+    }
+    if (best >= 0) setFramePoint(dragging, best / (count - 1));
+  });
+
+  const stop = () => {
+    if (!dragging) return;
+    dragging = null;
+    controls.enabled = true;
+  };
+  window.addEventListener("pointerup", stop);
+  window.addEventListener("pointercancel", stop);
+}
+
+// --- Grid lines and textures ---
+
+const MAX_ISO_LINES = 200;
+const ISO_LINE_COLOR = 0xf8fafc;
+const TEXTURE_SIZE = 256;
+const TEXTURE_CELLS = 8;
+
+// cached checkerboard / grid textures, and the uploaded image
+const patternTextures = {};
+let imageTexture = null;
+
+// grid line spacing (the typed expressions, or a tenth of the domain) and
+// samples per line
+function isoLineOptions(spec, names, scope, { uMin, uMax, vMin, vMax }) {
+  const spacing = (p, src, lo, hi) => {
+    const label = `${names[p]} spacing`;
+    const value = src.trim() ? evalBound(label, src, scope) : (hi - lo) / 10;
+    if (!(value > 0) || !isFinite(value)) {
+      throw new Error(`${label} must be a positive number.`);
+    }
+    if ((hi - lo) / value > MAX_ISO_LINES) {
+      throw new Error(`${label} gives more than ${MAX_ISO_LINES} grid lines; increase it.`);
+    }
+    return value;
+  };
+  return {
+    uSpacing: spacing("u", spec.isoUSpacing, uMin, uMax),
+    vSpacing: spacing("v", spec.isoVSpacing, vMin, vMax),
+    samples: Math.min(1024, Math.max(64, 4 * Math.max(spec.uSteps, spec.vSteps))),
+  };
+}
+
+// draw the u / v grid lines of surface.iso as a child of the mesh
+function updateIsoLines(mesh, surface) {
+  const previous = mesh.getObjectByName("iso-lines");
+  const positions = surface.iso ? isoLines(surface, surface.iso) : null;
+  const attribute = previous && previous.geometry.attributes.position;
+
+  // animated surfaces redraw their iso lines each frame: reuse the buffer
+  // while the segments fit in it
+  if (positions && attribute && positions.length <= attribute.array.length) {
+    attribute.array.set(positions);
+    attribute.needsUpdate = true;
+    previous.geometry.setDrawRange(0, positions.length / 3);
+    previous.geometry.computeBoundingSphere();
+    return;
+  }
+
+  if (previous) {
+    mesh.remove(previous);
+    previous.geometry.dispose();
+    previous.material.dispose();
+  }
+  if (!positions) return;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  const lines = new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({ color: ISO_LINE_COLOR })
+  );
+  lines.name = "iso-lines";
+  mesh.add(lines);
+}
+
+// checkerboard or grid of TEXTURE_CELLS × TEXTURE_CELLS cells
+function patternTexture(kind) {
+  if (patternTextures[kind]) return patternTextures[kind];
+  const canvas = document.createElement("canvas");
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  const cell = TEXTURE_SIZE / TEXTURE_CELLS;
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+  ctx.fillStyle = "#334155";
+  for (let i = 0; i < TEXTURE_CELLS; i++) {
+    for (let j = 0; j < TEXTURE_CELLS; j++) {
+      if (kind === "checker" && (i + j) % 2) {
+        ctx.fillRect(i * cell, j * cell, cell, cell);
+      } else if (kind === "grid") {
+        // half a line on each side of the cell, so that tiles join up
+        ctx.fillRect(i * cell, j * cell, cell, 2);
+        ctx.fillRect(i * cell, (j + 1) * cell - 2, cell, 2);
+        ctx.fillRect(i * cell, j * cell, 2, cell);
+        ctx.fillRect((i + 1) * cell - 2, j * cell, 2, cell);
+      }
+    }
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  patternTextures[kind] = texture;
+  return texture;
+}
+
+// Map the layer's texture over its (u, v) domain, which the mesh UVs span
+// from 0 to 1, repeated textureRepeat times in each direction. Each layer
+// gets its own copy so that the repeats are independent.
+function applyLayerTexture(layer) {
+  const material = layer.mesh && layer.mesh.material;
+  if (!material || !layer.surface) return;
+  const { texture, textureRepeat } = layer.spec;
+  let source = null;
+  if (texture === "image") source = imageTexture;
+  else if (texture !== "none") source = patternTexture(texture);
+
+  if (material.map) material.map.dispose();
+  material.map = null;
+  if (source) {
+    const map = source.clone();
+    const repeat = Number.isFinite(textureRepeat) && textureRepeat > 0 ? textureRepeat : 1;
+    map.wrapS = THREE.RepeatWrapping;
+    map.wrapT = THREE.RepeatWrapping;
+    map.repeat.set(repeat, repeat);
+    map.needsUpdate = true;
+    material.map = map;
+  }
+  material.needsUpdate = true;
+}
+
+function handleTextureUpload(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const image = new Image();
+    image.onload = () => {
+      if (imageTexture) imageTexture.dispose();
+      imageTexture = new THREE.Texture(image);
+      imageTexture.colorSpace = THREE.SRGBColorSpace;
+      imageTexture.needsUpdate = true;
+
+      const layer = selectedLayer();
+      if (layer) layer.spec.texture = "image";
+      document.getElementById("texture-mode").value = "image";
+      layers.forEach((l) => {
+        if (l.spec.texture === "image") applyLayerTexture(l);
+      });
+      showStatus(`Texture image "${file.name}" loaded.`, "ok");
+    };
+    image.onerror = () => showStatus(`Could not read "${file.name}" as an image.`, "error");
+    image.src = e.target.result;
+  };
+  reader.readAsDataURL(file);
+  event.target.value = "";
+}
+
+function handleTextureChange() {
+  const layer = selectedLayer();
+  if (!layer) return;
+  syncEditorToLayer();
+  applyLayerTexture(layer);
+  if (layer.spec.texture === "image" && !imageTexture) {
+    showStatus("Choose an image file to map onto the surface.", "ok");
+  }
+}
+
+// Images are not stored in presets: after loading one, a reminder to pick
+// the image again for the layers that use it, or "".
+function missingImageNote() {
+  const names = layers
+    .filter((l) => l.spec.texture === "image")
+    .map((l) => `"${l.spec.name}"`);
+  if (!names.length || imageTexture) return "";
+  return ` Choose an image file to texture ${names.join(", ")}.`;
+}
+
+// --- Hole outlines ---
+
+// draw surface.holeEdges as a line overlay, a child of the mesh
+function updateHoleOutline(mesh, surface) {
+  const edges = surface.holeEdges;
+  let outline = mesh.getObjectByName("hole-outline");
+  if (outline && outline.geometry.attributes.position.count !== edges.length) {
+    mesh.remove(outline);
+    outline.geometry.dispose();
+    outline.material.dispose();
+    outline = null;
+  }
+  if (!edges.length) return;
+
+  if (!outline) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(edges.length * 3), 3)
+    );
+    outline = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({ color: 0xfacc15 })
+    );
+    outline.name = "hole-outline";
+    mesh.add(outline);
+  }
+
+  const positions = mesh.geometry.attributes.position.array;
+  const out = outline.geometry.attributes.position;
+  edges.forEach((vertex, i) => {
+    out.array[i * 3] = positions[vertex * 3];
+    out.array[i * 3 + 1] = positions[vertex * 3 + 1];
+    out.array[i * 3 + 2] = positions[vertex * 3 + 2];
+  });
+  out.needsUpdate = true;
+  outline.geometry.computeBoundingSphere();
+}
+
+// " — 12 invalid samples skipped" for the status line
+function invalidSummary(targets) {
+  const count = targets.reduce(
+    (sum, layer) => {
+      const source =
+        layer.surface || layer.implicit || (layer.curve && layer.curve.samples);
+      return sum + (source ? source.invalidCount : 0);
+    },
+    0
+  );
+  if (!count) return "";
+  return ` — ${count} invalid sample${count === 1 ? "" : "s"} skipped`;
+}
+
+// --- Tangent vectors ---
+
+// show ∂r/∂u and ∂r/∂v of the selected layer as copyable expressions
+function renderTangentFields(layer) {
+  const source = layer && (layer.surface || layer.curve);
+  const note = document.getElementById("derivative-note");
+  const fallback = [];
+
+  [["u", "deriv-u-output"], ["v", "deriv-v-output"]].forEach(([name, id]) => {
+    const out = document.getElementById(id);
+    const fields = source && (name === "u" ? source.du : source.dv);
+    if (!fields) {
+      out.value = "";
+      return;
+    }
+    out.value = fields
+      .map((f, k) => {
+        const label = `${"xyz"[k]}_${name}`;
+        if (f.symbolic) return `${label} = ${formatExpression(f.ast)}`;
+        fallback.push(`${label} (${f.reason})`);
+        return `${label} ≈ central difference`;
+      })
+      .join("\n");
+  });
+
+  note.textContent = fallback.length
+    ? `Numerical derivatives for ${fallback.join(", ")}.`
+    : "";
+}
+
+function copyTangentField(id) {
+  const text = document.getElementById(id).value;
+  if (!text) return;
+  navigator.clipboard.writeText(text).then(
+    () => showStatus("Derivatives copied to the clipboard.", "ok"),
+    () => showStatus("Could not access the clipboard.", "error")
+  );
+}
+
+// Plot the selected layer from the editor fields.
+// reframe: move the camera to fit the scene (off for live slider updates)
+// `quiet` leaves the status line alone unless the build fails.
+async function buildSurface({ reframe = true, quiet = false } = {}) {
+  const layer = selectedLayer();
+  if (!layer) return false;
+
+  cancelMeshJob();
+  syncEditorToLayer();
+  try {
+    if (!(await buildLayer(layer, quiet ? undefined : buildProgress(layer)))) return false;
+  } catch (e) {
+    hideBuildProgress();
+    showStatus(e.message, "error", e.snippet);
+    return false;
+  }
+  hideBuildProgress();
+
+  renderLayerList();
+  refreshAnalysis();
+  if (reframe) frameScene();
+  let meshInfo = "";
+  if (layer.surface && layer.spec.meshMode === "adaptive") {
+    meshInfo = ` — adaptive mesh, ${(layer.surface.triangles.length / 3).toLocaleString("en-US")} triangles`;
+  } else if (layer.implicit) {
+    meshInfo = ` — ${layer.implicit.triangles.toLocaleString("en-US")} triangles`;
+  }
+  if (!quiet) {
+    showStatus(
+      `${layer.curve ? "Curve" : "Surface"} updated ✔${meshInfo}${invalidSummary([layer])}`,
+      "ok"
+    );
+  }
+  scheduleHistorySnapshot();
+  return true;
+}
+
+// Rebuild every layer, e.g. after a parameter changed or a scene was loaded.
+// Resolves to false on failure or when a newer build took over.
+async function rebuildAllLayers({ reframe = false } = {}) {
+  cancelMeshJob();
+  syncEditorToLayer();
+
+  let failure = null;
+  for (const layer of [...layers]) {
+    try {
+      if (!(await buildLayer(layer, buildProgress(layer)))) return false;
+    } catch (e) {
+      if (!failure) failure = { layer, error: e };
+    }
+  }
+  hideBuildProgress();
+
+  renderLayerList();
+  refreshAnalysis();
+  if (reframe) frameScene();
+
+  if (failure) {
+    showStatus(
+      `${failure.layer.spec.name}: ${failure.error.message}`,
+      "error",
+      failure.error.snippet
+    );
+    return false;
+  }
+  showStatus(
+    (layers.length > 1 ? `${layers.length} layers updated ✔` : "Surface updated ✔") +
+      invalidSummary(layers),
+    "ok"
+  );
+  scheduleHistorySnapshot();
+  return true;
+}
+
+// fit the camera to the combined bounding sphere of the visible layers
+function frameScene() {
+  let bs = null;
+  layers.forEach((layer) => {
+    if (!layer.mesh || !layer.spec.visible) return;
+    const s = layer.mesh.geometry.boundingSphere;
+    if (!s) return;
+    bs = bs ? bs.union(s) : s.clone();
+  });
+  if (!bs) return;
+
+  const r = bs.radius || 1;
+  controls.target.copy(bs.center);
+
+  const offset = r * 2.8;
+  camera.position.set(
+    bs.center.x + offset,
+    bs.center.y + offset * 0.4,
+    bs.center.z + offset
+  );
+
+  camera.near = r / 50 || 0.01;
+  camera.far = r * 40 || 200;
+  camera.updateProjectionMatrix();
+}
+
+// --- Layers ---
+
+const LAYER_COLORS = [
+  "#60a5fa",
+  "#f472b6",
+  "#34d399",
+  "#fbbf24",
+  "#a78bfa",
+  "#f87171",
+];
+
+// fields of a layer spec as stored in presets
+const LAYER_FIELDS = [
+  "name",
+  "mode",
+  "x",
+  "y",
+  "z",
+  "uMin",
+  "uMax",
+  "vMin",
+  "vMax",
+  "uSteps",
+  "vSteps",
+  "f",
+  "xMin",
+  "xMax",
+  "yMin",
+  "yMax",
+  "zMin",
+  "zMax",
+  "implicitResolution",
+  "color",
+  "wireframe",
+  "visible",
+  "colorMode",
+  "colormap",
+  "colorExpr",
+  "colorRangeAuto",
+  "colorMin",
+  "colorMax",
+  "invalidMode",
+  "clampValues",
+  "clampMin",
+  "clampMax",
+  "outlineHoles",
+  "meshMode",
+  "meshTolerance",
+  "maxTriangles",
+  "curveStyle",
+  "tubeRadius",
+  "curveFrame",
+  "showFrame",
+  "framePoint",
+  "isoLines",
+  "isoUSpacing",
+  "isoVSpacing",
+  "texture",
+  "textureRepeat",
+];
+
+function createLayer(fields = {}) {
+  const id = nextLayerId++;
+  const spec = {
+    name: `Layer ${id}`,
+    mode: "parametric",
+    x: "",
+    y: "",
+    z: "",
+    uMin: "",
+    uMax: "",
+    vMin: "",
+    vMax: "",
+    uSteps: 40,
+    vSteps: 40,
+    f: "x^2 + y^2 + z^2 - 1",
+    xMin: "-1.5",
+    xMax: "1.5",
+    yMin: "-1.5",
+    yMax: "1.5",
+    zMin: "-1.5",
+    zMax: "1.5",
+    implicitResolution: 48,
+    color: LAYER_COLORS[(id - 1) % LAYER_COLORS.length],
+    wireframe: false,
+    visible: true,
+    colorMode: "solid",
+    colormap: "viridis",
+    colorExpr: "x * y",
+    colorRangeAuto: true,
+    colorMin: 0,
+    colorMax: 1,
+    invalidMode: "error",
+    clampValues: false,
+    clampMin: -100,
+    clampMax: 100,
+    outlineHoles: false,
+    meshMode: "grid",
+    meshTolerance: 0.001,
+    maxTriangles: 60000,
+    curveStyle: "tube",
+    tubeRadius: 0.05,
+    curveFrame: "rmf",
+    showFrame: false,
+    framePoint: 0.25,
+    isoLines: false,
+    isoUSpacing: "",
+    isoVSpacing: "",
+    texture: "none",
+    textureRepeat: 1,
+  };
+  LAYER_FIELDS.forEach((key) => {
+    if (fields[key] != null && fields[key] !== "") spec[key] = fields[key];
+  });
+  return { id, spec, mesh: null, surface: null };
+}
+
+function selectedLayer() {
+  return layers.find((l) => l.id === selectedLayerId) || null;
+}
+
+function readLayerSpecFromUI() {
+  const uSteps = parseInt(document.getElementById("u-steps").value, 10);
+  const vSteps = parseInt(document.getElementById("v-steps").value, 10);
+
+  return {
+    name: document.getElementById("layer-name").value.trim() || "Untitled",
+    mode: document.getElementById("layer-mode").value,
+    x: document.getElementById("expr-x").value,
+    y: document.getElementById("expr-y").value,
+    z: document.getElementById("expr-z").value,
+    uMin: document.getElementById("u-min").value,
+    uMax: document.getElementById("u-max").value,
+    vMin: document.getElementById("v-min").value,
+    vMax: document.getElementById("v-max").value,
+    uSteps: Number.isFinite(uSteps) ? uSteps : undefined,
+    vSteps: Number.isFinite(vSteps) ? vSteps : undefined,
+    f: document.getElementById("expr-f").value,
+    xMin: document.getElementById("x-min").value,
+    xMax: document.getElementById("x-max").value,
+    yMin: document.getElementById("y-min").value,
+    yMax: document.getElementById("y-max").value,
+    zMin: document.getElementById("z-min").value,
+    zMax: document.getElementById("z-max").value,
+    implicitResolution: parseInt(document.getElementById("implicit-resolution").value, 10),
+    color: document.getElementById("layer-color").value,
+    wireframe: document.getElementById("wireframe-toggle").checked,
+    colorMode: document.getElementById("color-mode").value,
+    colormap: document.getElementById("color-map").value,
+    colorExpr: document.getElementById("color-expr").value,
+    colorRangeAuto: document.getElementById("color-range-auto").checked,
+    colorMin: Number(document.getElementById("color-min").value),
+    colorMax: Number(document.getElementById("color-max").value),
+    invalidMode: document.getElementById("invalid-mode").value,
+    clampValues: document.getElementById("clamp-values").checked,
+    clampMin: Number(document.getElementById("clamp-min").value),
+    clampMax: Number(document.getElementById("clamp-max").value),
+    outlineHoles: document.getElementById("outline-holes").checked,
+    meshMode: document.getElementById("mesh-mode").value,
+    meshTolerance: Number(document.getElementById("mesh-tolerance").value),
+    maxTriangles: parseInt(document.getElementById("mesh-budget").value, 10),
+    curveStyle: document.getElementById("curve-style").value,
+    tubeRadius: Number(document.getElementById("tube-radius").value),
+    curveFrame: document.getElementById("curve-frame").value,
+    showFrame: document.getElementById("show-frame").checked,
+    framePoint: Number(document.getElementById("frame-point").value),
+    isoLines: document.getElementById("iso-lines").checked,
+    isoUSpacing: document.getElementById("iso-u-spacing").value,
+    isoVSpacing: document.getElementById("iso-v-spacing").value,
+    texture: document.getElementById("texture-mode").value,
+    textureRepeat: parseInt(document.getElementById("texture-repeat").value, 10),
+  };
+}
+
+// keep the selected layer's spec in step with the editor fields
+function syncEditorToLayer() {
+  const layer = selectedLayer();
+  if (layer) Object.assign(layer.spec, readLayerSpecFromUI());
+}
+
+function writeLayerToUI(layer) {
+  const spec = layer.spec;
+  document.getElementById("layer-name").value = spec.name;
+  document.getElementById("layer-mode").value = spec.mode;
+  document.getElementById("expr-x").value = spec.x;
+  document.getElementById("expr-y").value = spec.y;
+  document.getElementById("expr-z").value = spec.z;
+
+  document.getElementById("u-min").value = spec.uMin;
+  document.getElementById("u-max").value = spec.uMax;
+  document.getElementById("v-min").value = spec.vMin;
+  document.getElementById("v-max").value = spec.vMax;
+
+  document.getElementById("u-steps").value = spec.uSteps ?? "";
+  document.getElementById("v-steps").value = spec.vSteps ?? "";
+
+  document.getElementById("expr-f").value = spec.f;
+  ["x", "y", "z"].forEach((axis) => {
+    document.getElementById(`${axis}-min`).value = spec[`${axis}Min`];
+    document.getElementById(`${axis}-max`).value = spec[`${axis}Max`];
+  });
+  document.getElementById("implicit-resolution").value = spec.implicitResolution;
+
+  document.getElementById("layer-color").value = spec.color;
+  document.getElementById("wireframe-toggle").checked = spec.wireframe;
+
+  document.getElementById("color-mode").value = spec.colorMode;
+  document.getElementById("color-map").value = spec.colormap;
+  document.getElementById("color-expr").value = spec.colorExpr;
+  document.getElementById("color-range-auto").checked = spec.colorRangeAuto;
+  document.getElementById("color-min").value = spec.colorMin;
+  document.getElementById("color-max").value = spec.colorMax;
+
+  document.getElementById("invalid-mode").value = spec.invalidMode;
+  document.getElementById("clamp-values").checked = spec.clampValues;
+  document.getElementById("clamp-min").value = spec.clampMin;
+  document.getElementById("clamp-max").value = spec.clampMax;
+  document.getElementById("outline-holes").checked = spec.outlineHoles;
+  updateInvalidControls();
+
+  document.getElementById("mesh-mode").value = spec.meshMode;
+  document.getElementById("mesh-tolerance").value = spec.meshTolerance;
+  document.getElementById("mesh-budget").value = spec.maxTriangles;
+
+  document.getElementById("curve-style").value = spec.curveStyle;
+  document.getElementById("tube-radius").value = spec.tubeRadius;
+  document.getElementById("curve-frame").value = spec.curveFrame;
+  document.getElementById("show-frame").checked = spec.showFrame;
+  document.getElementById("frame-point").value = spec.framePoint;
+  document.getElementById("iso-lines").checked = spec.isoLines;
+  document.getElementById("iso-u-spacing").value = spec.isoUSpacing;
+  document.getElementById("iso-v-spacing").value = spec.isoVSpacing;
+  document.getElementById("texture-mode").value = spec.texture;
+  document.getElementById("texture-repeat").value = spec.textureRepeat;
+  updateModeControls();
+  renderCurveReadout(layer);
+  updateColorControls();
+  updateLegend();
+}
+
+function updateInvalidControls() {
+  const clamp = document.getElementById("clamp-values").checked;
+  document.getElementById("clamp-min").disabled = !clamp;
+  document.getElementById("clamp-max").disabled = !clamp;
+  document.getElementById("outline-holes").disabled =
+    document.getElementById("invalid-mode").value !== "skip";
+}
+
+function updateMeshControls() {
+  document.getElementById("adaptive-options").hidden =
+    document.getElementById("mesh-mode").value !== "adaptive";
+}
+
+// show the editor fields of the selected mode ([data-modes] lists the
+// modes an element belongs to) and relabel the expressions
+function updateModeControls() {
+  const mode = document.getElementById("layer-mode").value;
+  const coordinates = COORDINATE_MODES[mode];
+  // "surface" stands for every mode meshed over a (u, v) domain
+  const tags = [mode];
+  if (mode === "parametric" || coordinates) tags.push("surface");
+  document.querySelectorAll("[data-modes]").forEach((el) => {
+    el.hidden = !el.dataset.modes.split(" ").some((m) => tags.includes(m));
+  });
+
+  const args = mode === "curve" ? "u" : "u, v";
+  ["x", "y", "z"].forEach((c) => {
+    document.getElementById(`label-${c}`).textContent = coordinates
+      ? `${coordinates.inputs[c]} =`
+      : `${c}(${args}) =`;
+  });
+  const names = coordinates || { u: "u", v: "v" };
+  ["u", "v"].forEach((p) => {
+    ["min", "max", "steps", "spacing"].forEach((what) => {
+      document.getElementById(`label-${p}-${what}`).textContent = `${names[p]} ${what}`;
+    });
+  });
+  document.getElementById("plot-button").textContent =
+    mode === "curve" ? "Plot curve" : "Plot surface";
+
+  const implicit = mode === "implicit";
+  const colorMode = document.getElementById("color-mode");
+  colorMode.querySelectorAll("option").forEach((option) => {
+    option.disabled = implicit && !IMPLICIT_COLOR_MODES.includes(option.value);
+  });
+  if (colorMode.selectedOptions[0].disabled) colorMode.value = "solid";
+  const colorArgs = implicit ? "x, y, z" : "u, v";
+  colorMode.querySelector('option[value="custom"]').textContent = `Custom c(${colorArgs})`;
+  document.getElementById("label-color-expr").textContent = `c(${colorArgs}) =`;
+  updateColorControls();
+  updateMeshControls();
+}
+
+function renderLayerList() {
+  const list = document.getElementById("layer-list");
+  if (!list) return;
+  list.innerHTML = "";
+
+  layers.forEach((layer) => {
+    const item = document.createElement("li");
+    item.className = "layer-item";
+    if (layer.id === selectedLayerId) item.classList.add("selected");
+
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.checked = layer.spec.visible;
+    visible.title = "Show / hide";
+
+    const swatch = document.createElement("span");
+    swatch.className = "layer-swatch";
+    swatch.style.background = layer.spec.color;
+
+    const name = document.createElement("span");
+    name.className = "layer-name";
+    name.textContent = layer.spec.name;
+
+    item.append(visible, swatch, name);
+    list.appendChild(item);
+
+    item.addEventListener("click", () => selectLayer(layer.id));
+    visible.addEventListener("click", (e) => e.stopPropagation());
+    visible.addEventListener("change", () => {
+      layer.spec.visible = visible.checked;
+      if (layer.mesh) layer.mesh.visible = visible.checked;
+      updateLegend();
+      refreshAnalysis();
+    });
+  });
+}
+
+function selectLayer(id) {
+  if (id === selectedLayerId) return;
+  const layer = layers.find((l) => l.id === id);
+  if (!layer) return;
+
+  syncEditorToLayer();
+  selectedLayerId = id;
+  writeLayerToUI(layer);
+  document.getElementById("example-select").value = "custom";
+  renderLayerList();
+  refreshAnalysis();
+}
+
+function addLayer() {
+  const { name, ...sphere } = EXAMPLES.sphere;
+  const layer = createLayer(sphere);
+  syncEditorToLayer();
+  layers.push(layer);
+  selectLayer(layer.id);
+  buildSurface();
+}
+
+function duplicateLayer() {
+  const source = selectedLayer();
+  if (!source) return;
+  syncEditorToLayer();
+
+  const { color, ...fields } = source.spec;
+  const copy = createLayer({ ...fields, name: `${source.spec.name} copy` });
+  layers.splice(layers.indexOf(source) + 1, 0, copy);
+  selectLayer(copy.id);
+  buildSurface({ reframe: false });
+}
+
+function deleteLayer() {
+  const layer = selectedLayer();
+  if (!layer) return;
+  if (layers.length === 1) {
+    showStatus("The scene needs at least one layer.", "error");
+    return;
+  }
+
+  const index = layers.indexOf(layer);
+  disposeLayerMesh(layer);
+  layers.splice(index, 1);
+
+  const next = layers[Math.min(index, layers.length - 1)];
+  selectedLayerId = next.id;
+  writeLayerToUI(next);
+  renderLayerList();
+  showStatus(`Deleted layer "${layer.spec.name}".`, "ok");
+}
+
+function clearLayers() {
+  layers.forEach(disposeLayerMesh);
+  layers = [];
+  selectedLayerId = null;
+}
+
+// --- Parameters (named sliders) ---
+
+const BUILTIN_VARIABLES = ["u", "v", "t"];
+
+function getParamScope() {
+  const scope = {};
+  params.forEach((p) => {
+    scope[p.name] = p.value;
+  });
+  return scope;
+}
+
+function normalizeParam(p) {
+  const num = (x, fallback) => (Number.isFinite(Number(x)) ? Number(x) : fallback);
+  const min = num(p.min, 0);
+  const max = Math.max(num(p.max, 1), min);
+  const step = num(p.step, 0) > 0 ? num(p.step, 0.01) : 0.01;
+  const value = Math.min(max, Math.max(min, num(p.value, min)));
+  return { name: String(p.name || ""), min, max, step, value };
+}
+
+// returns an error message, or "" if `name` can be used for param `index`
+function validateParamName(name, index) {
+  const problem = paramNameProblem(name);
+  if (problem) {
+    return `${problem[0].toUpperCase()}${problem.slice(1)}.`;
+  }
+  if (params.some((p, i) => i !== index && p.name === name)) {
+    return `A parameter named "${name}" already exists.`;
+  }
+  return "";
+}
+
+function formatParamValue(p) {
+  const decimals = Math.min(6, Math.max(0, -Math.floor(Math.log10(p.step))));
+  return p.value.toFixed(decimals);
+}
+
+const scheduleLivePlot = debounce(() => {
+  rebuildAllLayers({ reframe: false });
+}, 120);
+
+function debounce(fn, ms) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+function renderParamList() {
+  const list = document.getElementById("param-list");
+  if (!list) return;
+  list.innerHTML = "";
+
+  params.forEach((p, index) => {
+    const row = document.createElement("div");
+    row.className = "param-row";
+
+    const head = document.createElement("div");
+    head.className = "param-head";
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.className = "param-name";
+    nameInput.value = p.name;
+    nameInput.spellcheck = false;
+
+    const valueLabel = document.createElement("span");
+    valueLabel.className = "param-value";
+    valueLabel.textContent = "= " + formatParamValue(p);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "icon-button";
+    removeBtn.title = "Remove parameter";
+    removeBtn.textContent = "×";
+
+    head.append(nameInput, valueLabel, removeBtn);
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.className = "param-slider";
+    slider.min = p.min;
+    slider.max = p.max;
+    slider.step = p.step;
+    slider.value = p.value;
+
+    const range = document.createElement("div");
+    range.className = "grid-3";
+    const rangeInputs = ["min", "max", "step"].map((key) => {
+      const field = document.createElement("label");
+      field.className = "field small";
+      const label = document.createElement("span");
+      label.className = "label";
+      label.textContent = key;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.value = p[key];
+      input.step = "any";
+      field.append(label, input);
+      range.appendChild(field);
+      return { key, input };
+    });
+
+    row.append(head, slider, range);
+    list.appendChild(row);
+
+    nameInput.addEventListener("change", () => {
+      const name = nameInput.value.trim();
+      const err = validateParamName(name, index);
+      if (err) {
+        showStatus(err, "error");
+        nameInput.value = p.name;
+        return;
+      }
+      p.name = name;
+      rebuildAllLayers({ reframe: false });
+    });
+
+    slider.addEventListener("input", () => {
+      p.value = Number(slider.value);
+      valueLabel.textContent = "= " + formatParamValue(p);
+      scheduleLivePlot();
+    });
+
+    rangeInputs.forEach(({ key, input }) => {
+      input.addEventListener("change", () => {
+        Object.assign(p, normalizeParam({ ...p, [key]: input.value }));
+        renderParamList();
+        rebuildAllLayers({ reframe: false });
+      });
+    });
+
+    removeBtn.addEventListener("click", () => {
+      params.splice(index, 1);
+      renderParamList();
+      rebuildAllLayers({ reframe: false });
+    });
+  });
+}
+
+function addParam() {
+  const candidates = ["a", "b", "c", "k", "m", "n", "p", "q", "s", "w"];
+  let name = candidates.find((c) => !validateParamName(c, -1));
+  for (let i = 1; !name; i++) {
+    if (!validateParamName(`a${i}`, -1)) name = `a${i}`;
+  }
+  params.push(normalizeParam({ name, min: 0, max: 2, step: 0.01, value: 1 }));
+  renderParamList();
+  showStatus(`Added parameter "${name}". Use it in any expression or bound.`, "ok");
+}
+
+// --- Color mapping ---
+
+const COLOR_MODES = {
+  solid: "Solid color",
+  height: "Height (z)",
+  u: "Parameter u",
+  v: "Parameter v",
+  normal: "Normal direction (n·z)",
+  gaussian: "Gaussian curvature K",
+  mean: "Mean curvature H",
+  k1: "Principal curvature k₁",
+  k2: "Principal curvature k₂",
+  custom: "Custom c(u, v)",
+};
+
+const CURVATURE_MODES = { gaussian: "K", mean: "H", k1: "k1", k2: "k2" };
+
+// implicit surfaces have vertex positions and normals, but no (u, v) and
+// no curvature analysis
+const IMPLICIT_COLOR_MODES = ["solid", "height", "normal", "custom"];
+
+// one scalar per vertex for the layer's color mode (NaN where undefined)
+function computeVertexScalars(layer) {
+  const { spec, surface, mesh } = layer;
+  const positions = mesh.geometry.attributes.position.array;
+  const count = positions.length / 3;
+  const values = new Float32Array(count);
+  const coords = surface ? surface.coords : null;
+
+  switch (spec.colorMode) {
+    case "height":
+      for (let i = 0; i < count; i++) values[i] = positions[i * 3 + 2];
+      break;
+    case "u":
+    case "v": {
+      const offset = spec.colorMode === "u" ? 0 : 1;
+      for (let i = 0; i < count; i++) values[i] = coords[i * 2 + offset];
+      break;
+    }
+    case "normal": {
+      const normals = mesh.geometry.attributes.normal.array;
+      for (let i = 0; i < count; i++) values[i] = normals[i * 3 + 2];
+      break;
+    }
+    case "gaussian":
+    case "mean":
+    case "k1":
+    case "k2":
+      values.set(getLayerAnalysis(layer)[CURVATURE_MODES[spec.colorMode]]);
+      break;
+    case "custom": {
+      const source = surface || layer.implicit;
+      const scope = { ...(surface ? surface.scope : source.job.scope) };
+      for (let i = 0; i < count; i++) {
+        if (coords) {
+          scope.u = coords[i * 2];
+          scope.v = coords[i * 2 + 1];
+        }
+        scope.x = positions[i * 3];
+        scope.y = positions[i * 3 + 1];
+        scope.z = positions[i * 3 + 2];
+        values[i] = source.fc(scope);
+      }
+      break;
+    }
+  }
+  if (surface) {
+    for (let i = 0; i < count; i++) {
+      if (!surface.valid[i]) values[i] = NaN;
+    }
+  }
+  return values;
+}
+
+// Auto range: min/max of the finite values. Curvature blows up near
+// singular points, so those modes clip to the 2nd–98th percentile; a
+// diverging map is centered on zero.
+function autoColorRange(values, mode, colormap) {
+  const finite = Array.from(values).filter(Number.isFinite);
+  if (finite.length === 0) return { min: 0, max: 1 };
+
+  let min, max;
+  if (CURVATURE_MODES[mode]) {
+    finite.sort((a, b) => a - b);
+    min = finite[Math.floor((finite.length - 1) * 0.02)];
+    max = finite[Math.ceil((finite.length - 1) * 0.98)];
+  } else {
+    min = Infinity;
+    max = -Infinity;
+    for (const x of finite) {
+      if (x < min) min = x;
+      if (x > max) max = x;
+    }
+  }
+
+  if (COLORMAPS[colormap] && COLORMAPS[colormap].diverging) {
+    const m = Math.max(Math.abs(min), Math.abs(max));
+    min = -m;
+    max = m;
+  }
+  if (max - min < 1e-9) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  return { min, max };
+}
+
+// write per-vertex colors for the layer's color mode (or clear them)
+function applyLayerColors(layer) {
+  const { spec, mesh } = layer;
+  if (!mesh || !(layer.surface || layer.implicit)) return;
+
+  const material = mesh.material;
+  const geometry = mesh.geometry;
+
+  if (
+    spec.colorMode === "solid" ||
+    !COLOR_MODES[spec.colorMode] ||
+    (layer.implicit && !IMPLICIT_COLOR_MODES.includes(spec.colorMode))
+  ) {
+    if (material.vertexColors) {
+      material.vertexColors = false;
+      material.needsUpdate = true;
+    }
+    material.color.set(spec.color);
+    geometry.deleteAttribute("color");
+    layer.colorRange = null;
+    if (layer.id === selectedLayerId) updateLegend();
+    return;
+  }
+
+  const values = computeVertexScalars(layer);
+  const range = spec.colorRangeAuto
+    ? autoColorRange(values, spec.colorMode, spec.colormap)
+    : { min: Number(spec.colorMin), max: Number(spec.colorMax) };
+  const span = range.max - range.min || 1;
+
+  let colorAttr = geometry.getAttribute("color");
+  if (!colorAttr || colorAttr.count !== values.length) {
+    colorAttr = new THREE.BufferAttribute(new Float32Array(values.length * 3), 3);
+    geometry.setAttribute("color", colorAttr);
+  }
+
+  const rgb = [0, 0, 0];
+  const c = new THREE.Color();
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isFinite(values[i])) {
+      sampleColormap(spec.colormap, (values[i] - range.min) / span, rgb);
+      c.setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
+    } else {
+      c.set(0x64748b); // undefined values (e.g. curvature at a pole)
+    }
+    colorAttr.setXYZ(i, c.r, c.g, c.b);
+  }
+  colorAttr.needsUpdate = true;
+
+  if (!material.vertexColors) {
+    material.vertexColors = true;
+    material.needsUpdate = true;
+  }
+  material.color.set(0xffffff);
+  layer.colorRange = range;
+  if (layer.id === selectedLayerId) updateLegend();
+}
+
+function formatLegendValue(x) {
+  if (x === 0) return "0";
+  const a = Math.abs(x);
+  return a >= 1e4 || a < 1e-3 ? x.toExponential(2) : x.toPrecision(3);
+}
+
+// legend overlay for the selected layer's color mapping
+function updateLegend() {
+  const legend = document.getElementById("legend");
+  if (!legend) return;
+  const layer = selectedLayer();
+
+  if (!layer || !layer.colorRange || !layer.spec.visible) {
+    legend.hidden = true;
+    return;
+  }
+
+  const { spec, colorRange } = layer;
+  legend.hidden = false;
+  document.getElementById("legend-title").textContent =
+    spec.colorMode === "custom"
+      ? `c(${layer.implicit ? "x, y, z" : "u, v"}) = ${spec.colorExpr}`
+      : COLOR_MODES[spec.colorMode];
+  document.getElementById("legend-bar").style.background = colormapGradient(
+    spec.colormap
+  );
+  document.getElementById("legend-min").textContent = formatLegendValue(colorRange.min);
+  document.getElementById("legend-max").textContent = formatLegendValue(colorRange.max);
+}
+
+// show only the color controls that apply to the current mode
+function updateColorControls() {
+  const mode = document.getElementById("color-mode").value;
+  const auto = document.getElementById("color-range-auto").checked;
+  document.getElementById("color-map-options").hidden = mode === "solid";
+  document.getElementById("color-expr-field").hidden = mode !== "custom";
+  document.getElementById("color-min").disabled = auto;
+  document.getElementById("color-max").disabled = auto;
+}
+
+function handleColorSettingsChange() {
+  updateColorControls();
+  const layer = selectedLayer();
+  if (!layer) return;
+
+  const before = layer.spec.colorMode;
+  syncEditorToLayer();
+  if (!layer.mesh) return;
+
+  // the custom expression needs compiling, everything else is a recolor
+  if (layer.spec.colorMode === "custom" || before === "custom") {
+    buildSurface({ reframe: false });
+    return;
+  }
+  const colorError = pageColorError(layer.spec, vertexCount(layer), !!layer.implicit);
+  if (colorError) {
+    showStatus(`${layer.spec.name}: ${colorError}`, "error");
+    return;
+  }
+  applyLayerColors(layer);
+  if (layer.spec.colorRangeAuto && layer.colorRange) {
+    document.getElementById("color-min").value = formatLegendValue(layer.colorRange.min);
+    document.getElementById("color-max").value = formatLegendValue(layer.colorRange.max);
+  }
+}
+
+// --- Differential-geometry analysis ---
+
+// per-vertex fundamental forms, curvatures and principal directions of a
+// layer, cached until its geometry changes
+function getLayerAnalysis(layer) {
+  if (layer.analysis) return layer.analysis;
+
+  const { du, dv, duu, duv, dvv, scope: baseScope } = secondDerivativeFields(
+    layer.surface
+  );
+  const scope = { ...baseScope };
+  const at = (fields) => fields.map((f) => f(scope));
+  const derivatives = (u, v) => {
+    scope.u = u;
+    scope.v = v;
+    return { ru: at(du), rv: at(dv), ruu: at(duu), ruv: at(duv), rvv: at(dvv) };
+  };
+
+  const analysis = analyzeSurface(derivatives, layer.surface.coords);
+
+  // skipped samples are holes, not singular points
+  layer.surface.valid.forEach((ok, i) => {
+    if (!ok) analysis.degenerate[i] = 0;
+  });
+  layer.analysis = analysis;
+  return analysis;
+}
+
+function formatNumber(x) {
+  if (!Number.isFinite(x)) return "—";
+  return formatLegendValue(x);
+}
+
+// distinct (u, v) locations of degenerate vertices, e.g. the sphere's
+// poles show up once per u sample but are reported once; positions are
+// matched on a 1e-6 grid
+function degeneratePoints(layer, analysis) {
+  const { coords } = layer.surface;
+  const positions = layer.mesh.geometry.attributes.position.array;
+  const points = new Map();
+  for (let i = 0; i < analysis.degenerate.length; i++) {
+    if (!analysis.degenerate[i]) continue;
+    const p = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const key = p.map((x) => Math.round(x * 1e6)).join(",");
+    const seen = points.get(key);
+    if (seen) seen.count++;
+    else points.set(key, { u: coords[i * 2], v: coords[i * 2 + 1], p, count: 1 });
+  }
+  return [...points.values()];
+}
+
+function renderAnalysis(layer) {
+  const out = document.getElementById("analysis-output");
+  if (!out) return;
+  out.innerHTML = "";
+
+  if (!layer || !layer.mesh) {
+    out.textContent = "Plot the selected layer first.";
+    return;
+  }
+  if (layer.curve) {
+    out.textContent =
+      "Curvature analysis applies to surfaces; a curve shows its κ and τ at the frame point.";
+    return;
+  }
+  if (!layer.surface) {
+    out.textContent = "Curvature analysis needs a parametrized surface r(u, v).";
+    return;
+  }
+  if (vertexCount(layer) > PAGE_MAX_VERTICES) {
+    out.textContent =
+      `Curvature analysis runs for up to 250,000 vertices; this mesh has ` +
+      `${vertexCount(layer).toLocaleString("en-US")}. Reduce the steps to analyse it.`;
+    return;
+  }
+
+  const analysis = getLayerAnalysis(layer);
+  const { coords } = layer.surface;
+  const indices = layer.mesh.geometry.index.array;
+
+  const table = document.createElement("table");
+  table.className = "analysis-table";
+  const addRow = (cells, header = false) => {
+    const tr = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement(header ? "th" : "td");
+      cell.textContent = text;
+      tr.appendChild(cell);
+    });
+    table.appendChild(tr);
+  };
+
+  addRow(["", "min", "mean", "max"], true);
+  [
+    ["K", analysis.K],
+    ["H", analysis.H],
+    ["k₁", analysis.k1],
+    ["k₂", analysis.k2],
+    ["E", analysis.E],
+    ["G", analysis.G],
+  ].forEach(([label, values]) => {
+    const st = summarize(values);
+    addRow(
+      st
+        ? [label, formatNumber(st.min), formatNumber(st.mean), formatNumber(st.max)]
+        : [label, "—", "—", "—"]
+    );
+  });
+  out.appendChild(table);
+
+  const area = integrateOverSurface(coords, indices, null, analysis.area);
+  const totalK = integrateOverSurface(coords, indices, analysis.K, analysis.area);
+  const singular = degeneratePoints(layer, analysis);
+
+  const { du, dv, duu, duv, dvv } = layer.surface;
+  const exact = [...du, ...dv, ...duu, ...duv, ...dvv].every((f) => f.symbolic);
+
+  const lines = [
+    exact
+      ? "Derivatives: symbolic (exact)."
+      : "Derivatives: partly by central differences.",
+    `Area ≈ ${formatNumber(area)}`,
+    `∫K dA ≈ ${formatNumber(totalK)} (= ${formatNumber(totalK / (2 * Math.PI))} · 2π)`,
+    singular.length
+      ? `${singular.length} singular point(s) where r_u × r_v = 0:`
+      : "No singular points on the grid.",
+    ...singular
+      .slice(0, 6)
+      .map(
+        (q) =>
+          `  (u, v) = (${q.u.toFixed(3)}, ${q.v.toFixed(3)}) → (${q.p
+            .map((x) => x.toFixed(2))
+            .join(", ")})${q.count > 1 ? ` ×${q.count}` : ""}`
+      ),
+  ];
+  if (singular.length > 6) lines.push(`  … and ${singular.length - 6} more`);
+
+  const summary = document.createElement("pre");
+  summary.className = "analysis-summary";
+  summary.textContent = lines.join("\n");
+  out.appendChild(summary);
+}
+
+function disposeAnalysisOverlay(layer) {
+  if (!layer.overlay) return;
+  scene.remove(layer.overlay);
+  layer.overlay.traverse((obj) => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) obj.material.dispose();
+  });
+  layer.overlay = null;
+}
+
+// principal-direction glyphs and singular-point markers for a layer
+function updateAnalysisOverlay(layer) {
+  disposeAnalysisOverlay(layer);
+
+  const showGlyphs = document.getElementById("analysis-glyphs").checked;
+  const showSingular = document.getElementById("analysis-singular").checked;
+  if (!layer.surface || !layer.spec.visible || (!showGlyphs && !showSingular)) {
+    return;
+  }
+  if (vertexCount(layer) > PAGE_MAX_VERTICES) return;
+
+  const analysis = getLayerAnalysis(layer);
+  const positions = layer.mesh.geometry.attributes.position.array;
+  const count = analysis.degenerate.length;
+  const group = new THREE.Group();
+
+  if (showGlyphs) {
+    const stride = Math.max(1, Math.round(count / 1500));
+    const radius = layer.mesh.geometry.boundingSphere.radius || 1;
+    const len = radius * 0.03;
+    const verts = [];
+    const colors = [];
+    const c1 = new THREE.Color(0xf97316);
+    const c2 = new THREE.Color(0x22d3ee);
+
+    const { valid } = layer.surface;
+    for (let i = 0; i < count; i += stride) {
+      if (analysis.degenerate[i] || !valid[i]) continue;
+      [
+        [analysis.d1, c1],
+        [analysis.d2, c2],
+      ].forEach(([d, c]) => {
+        for (const sgn of [-1, 1]) {
+          verts.push(
+            positions[i * 3] + sgn * len * d[i * 3],
+            positions[i * 3 + 1] + sgn * len * d[i * 3 + 1],
+            positions[i * 3 + 2] + sgn * len * d[i * 3 + 2]
+          );
+          colors.push(c.r, c.g, c.b);
+        }
+      });
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
+    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    group.add(
+      new THREE.LineSegments(
+        geometry,
+        new THREE.LineBasicMaterial({ vertexColors: true })
+      )
+    );
+  }
+
+  if (showSingular) {
+    const verts = [];
+    for (let i = 0; i < count; i++) {
+      if (!analysis.degenerate[i]) continue;
+      verts.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    }
+    if (verts.length) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
+      const material = new THREE.PointsMaterial({
+        color: 0xef4444,
+        size: 8,
+        sizeAttenuation: false,
+        depthTest: false,
+      });
+      const points = new THREE.Points(geometry, material);
+      points.renderOrder = 3;
+      group.add(points);
+    }
+  }
+
+  layer.overlay = group;
+  scene.add(group);
+}
+
+// overlays follow the selected layer
+function refreshAnalysis() {
+  layers.forEach((layer) => {
+    if (layer.id !== selectedLayerId) disposeAnalysisOverlay(layer);
+  });
+  const layer = selectedLayer();
+  renderTangentFields(layer);
+  if (!layer) return;
+  updateAnalysisOverlay(layer);
+  if (document.getElementById("analysis-live").checked) renderAnalysis(layer);
+}
+
+function setupAnalysisPanel() {
+  document.getElementById("analysis-run").addEventListener("click", () => {
+    const layer = selectedLayer();
+    renderAnalysis(layer);
+    if (layer) updateAnalysisOverlay(layer);
+  });
+  ["analysis-glyphs", "analysis-singular", "analysis-live"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", refreshAnalysis);
+  });
+  document
+    .getElementById("deriv-u-copy")
+    .addEventListener("click", () => copyTangentField("deriv-u-output"));
+  document
+    .getElementById("deriv-v-copy")
+    .addEventListener("click", () => copyTangentField("deriv-v-output"));
+}
+
+// --- Surface picking ---
+
+const MARKER_COLOR = 0xfacc15;
+
+const raycaster = new THREE.Raycaster();
+const pickPointer = new THREE.Vector2();
+let markers = [];
+let markerCount = 0;
+let hoverEvent = null;
+// above this many triangles in the pickable layers the hover readout is
+// skipped: each raycast tests every triangle, too slow to run per move
+const HOVER_MAX_TRIANGLES = 300000;
+
+const formatVector = (v) => `(${v.map((x) => x.toFixed(3)).join(", ")})`;
+
+// r(u, v), the unit normal and the curvatures of a surface at (u, v)
+function surfacePointAt(surface, u, v) {
+  const { fx, fy, fz, du, dv, duu, duv, dvv } = secondDerivativeFields(surface);
+  const scope = { ...surface.scope, u, v };
+  const at = (fields) => fields.map((f) => f(scope));
+  const info = analyzePoint({ ru: at(du), rv: at(dv), ruu: at(duu), ruv: at(duv), rvv: at(dvv) });
+  return {
+    u,
+    v,
+    point: [fx(scope), fy(scope), fz(scope)],
+    normal: info.degenerate ? null : info.normal,
+    K: info.K,
+    H: info.H,
+    k1: info.k1,
+    k2: info.k2,
+  };
+}
+
+function pickableLayers() {
+  return layers.filter((l) => l.mesh && l.spec.visible && (l.surface || l.implicit));
+}
+
+function pickableTriangles() {
+  return pickableLayers().reduce((sum, l) => {
+    const { index, attributes } = l.mesh.geometry;
+    return sum + (index ? index.count : attributes.position.count) / 3;
+  }, 0);
+}
+
+// The visible surface under the pointer: { layer, u, v, point, normal, K,
+// H, k1, k2 }, or null. (u, v) is interpolated across the hit triangle;
+// implicit surfaces have no (u, v) and give only the point and normal.
+function pickSurface(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pickPointer.set(
+    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+    -((e.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pickPointer, camera);
+  const candidates = pickableLayers();
+  const [hit] = raycaster.intersectObjects(candidates.map((l) => l.mesh), false);
+  if (!hit || !hit.face) return null;
+
+  const layer = candidates.find((l) => l.mesh === hit.object);
+  const { a, b, c } = hit.face;
+  const { position, normal } = hit.object.geometry.attributes;
+  const corner = (i) => new THREE.Vector3().fromBufferAttribute(position, i);
+  const bary = THREE.Triangle.getBarycoord(
+    hit.point, corner(a), corner(b), corner(c), new THREE.Vector3()
+  );
+  // slivers (e.g. at a pole) give unusable weights: clamp into the triangle
+  const clamped = bary.toArray().map((x) => (Number.isFinite(x) ? Math.max(x, 0) : 0));
+  const total = clamped[0] + clamped[1] + clamped[2];
+  const w = total > 0 ? clamped.map((x) => x / total) : [1, 0, 0];
+  const blend = (values, stride, k) =>
+    w[0] * values[a * stride + k] + w[1] * values[b * stride + k] + w[2] * values[c * stride + k];
+
+  if (layer.surface) {
+    const { coords } = layer.surface;
+    const pick = surfacePointAt(layer.surface, blend(coords, 2, 0), blend(coords, 2, 1));
+    // clamped or skipped values: stay on the mesh that was hit
+    if (!pick.point.every(Number.isFinite)) pick.point = hit.point.toArray();
+    return { layer, ...pick };
+  }
+  const n = new THREE.Vector3(
+    blend(normal.array, 3, 0),
+    blend(normal.array, 3, 1),
+    blend(normal.array, 3, 2)
+  ).normalize();
+  return {
+    layer,
+    u: NaN,
+    v: NaN,
+    point: hit.point.toArray(),
+    normal: n.toArray(),
+    K: NaN,
+    H: NaN,
+    k1: NaN,
+    k2: NaN,
+  };
+}
+
+// readout lines for a pick or a marker
+function pickLines(pick, layerName, names) {
+  const lines = [layerName];
+  if (Number.isFinite(pick.u)) {
+    lines.push(`(${names.u}, ${names.v}) = (${pick.u.toFixed(4)}, ${pick.v.toFixed(4)})`);
+  }
+  lines.push(`p = ${formatVector(pick.point)}`);
+  lines.push(pick.normal ? `n = ${formatVector(pick.normal)}` : "n = — (singular point)");
+  if (Number.isFinite(pick.u)) {
+    lines.push(`K = ${formatNumber(pick.K)}   H = ${formatNumber(pick.H)}`);
+    lines.push(`k₁ = ${formatNumber(pick.k1)}   k₂ = ${formatNumber(pick.k2)}`);
+  }
+  return lines;
+}
+
+const coordinateNames = (layer) => COORDINATE_MODES[layer.spec.mode] || { u: "u", v: "v" };
+
+function hidePickTooltip() {
+  document.getElementById("pick-tooltip").hidden = true;
+}
+
+function showPickTooltip(e) {
+  const tooltip = document.getElementById("pick-tooltip");
+  const pick = pickSurface(e);
+  if (!pick) {
+    tooltip.hidden = true;
+    return;
+  }
+  const { layer } = pick;
+  tooltip.textContent = pickLines(pick, layer.spec.name, coordinateNames(layer)).join("\n");
+  tooltip.hidden = false;
+
+  // beside the pointer, flipped to the left near the right edge
+  const rect = document.getElementById("viewer").getBoundingClientRect();
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+  const left = x + 16 + tooltip.offsetWidth > rect.width ? x - 16 - tooltip.offsetWidth : x + 16;
+  tooltip.style.left = `${Math.max(0, left)}px`;
+  tooltip.style.top = `${Math.max(0, Math.min(y + 16, rect.height - tooltip.offsetHeight))}px`;
+}
+
+// one raycast per frame however fast the pointer moves, none over large
+// meshes (clicking still pins a marker there)
+function handlePickHover(e) {
+  const hover = document.getElementById("pick-hover").checked;
+  if (!hover || e.buttons || pickableTriangles() > HOVER_MAX_TRIANGLES) {
+    hidePickTooltip();
+    return;
+  }
+  const pending = hoverEvent;
+  hoverEvent = e;
+  if (pending) return;
+  requestAnimationFrame(() => {
+    const latest = hoverEvent;
+    hoverEvent = null;
+    showPickTooltip(latest);
+  });
+}
+
+function addMarker(pick) {
+  markerCount++;
+  const radius = 0.012 * (pick.layer.mesh.geometry.boundingSphere
+    ? pick.layer.mesh.geometry.boundingSphere.radius
+    : 1);
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(radius, 16, 12),
+    new THREE.MeshBasicMaterial({ color: MARKER_COLOR })
+  );
+  mesh.position.fromArray(pick.point);
+  scene.add(mesh);
+
+  const label = document.createElement("div");
+  label.className = "marker-label";
+  label.textContent = `P${markerCount}`;
+  document.getElementById("marker-labels").appendChild(label);
+
+  const { layer, ...values } = pick;
+  markers.push({
+    ...values,
+    label: `P${markerCount}`,
+    layerName: layer.spec.name,
+    names: coordinateNames(layer),
+    mesh,
+    element: label,
+  });
+  renderMarkerList();
+  showStatus(`Pinned P${markerCount} on ${layer.spec.name}.`, "ok");
+}
+
+function removeMarker(marker) {
+  scene.remove(marker.mesh);
+  marker.mesh.geometry.dispose();
+  marker.mesh.material.dispose();
+  marker.element.remove();
+  markers = markers.filter((m) => m !== marker);
+  renderMarkerList();
+}
+
+function clearMarkers() {
+  [...markers].forEach(removeMarker);
+  markerCount = 0;
+  renderMarkerList();
+}
+
+// keep the labels next to their markers
+function updateMarkerLabels() {
+  if (!markers.length) return;
+  const canvas = renderer.domElement;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const p = new THREE.Vector3();
+  markers.forEach((marker) => {
+    p.copy(marker.mesh.position).project(camera);
+    marker.element.hidden = p.z > 1; // behind the camera
+    marker.element.style.left = `${((p.x + 1) / 2) * width}px`;
+    marker.element.style.top = `${((1 - p.y) / 2) * height}px`;
+  });
+}
+
+function renderMarkerList() {
+  const list = document.getElementById("marker-list");
+  if (!list) return;
+  list.innerHTML = "";
+  document.getElementById("marker-empty").hidden = markers.length > 0;
+  document.getElementById("marker-export").disabled = markers.length === 0;
+  document.getElementById("marker-clear").disabled = markers.length === 0;
+
+  markers.forEach((marker) => {
+    const item = document.createElement("li");
+    item.className = "marker-item";
+
+    const text = document.createElement("span");
+    text.textContent = `${marker.label} · ${pickLines(marker, marker.layerName, marker.names)
+      .slice(1, 3)
+      .join(" · ")}`;
+    text.title = pickLines(marker, marker.layerName, marker.names).join("\n");
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "icon-button";
+    remove.textContent = "×";
+    remove.title = "Remove marker";
+    remove.addEventListener("click", () => removeMarker(marker));
+
+    item.append(text, remove);
+    list.appendChild(item);
+  });
+}
+
+// quoted when it holds a separator, quote or line break
+function csvField(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function handleExportMarkers() {
+  if (!markers.length) {
+    showStatus("No markers to export — click a surface to pin one.", "error");
+    return;
+  }
+  const header = [
+    "label", "layer", "u", "v", "x", "y", "z", "nx", "ny", "nz", "K", "H", "k1", "k2",
+  ];
+  const rows = markers.map((m) =>
+    [
+      m.label,
+      m.layerName,
+      m.u,
+      m.v,
+      ...m.point,
+      ...(m.normal || [NaN, NaN, NaN]),
+      m.K,
+      m.H,
+      m.k1,
+      m.k2,
+    ].map(csvField).join(",")
+  );
+  const csv = [header.join(","), ...rows].join("\n") + "\n";
+  downloadBlob(new Blob([csv], { type: "text/csv" }), "surface-markers.csv");
+  showStatus(`Exported ${markers.length} marker(s) as CSV.`, "ok");
+}
+
+function setupPicking() {
+  const canvas = renderer.domElement;
+  let down = null;
+
+  canvas.addEventListener("pointermove", handlePickHover);
+  canvas.addEventListener("pointerleave", () => {
+    hoverEvent = null;
+    hidePickTooltip();
+  });
+  // a click pins a marker; a drag orbits the camera
+  canvas.addEventListener("pointerdown", (e) => {
+    down = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+  });
+  canvas.addEventListener("pointerup", (e) => {
+    if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+    down = null;
+    const pick = pickSurface(e);
+    if (pick) addMarker(pick);
+  });
+
+  document.getElementById("pick-hover").addEventListener("change", hidePickTooltip);
+  document
+    .getElementById("marker-export")
+    .addEventListener("click", handleExportMarkers);
+  document.getElementById("marker-clear").addEventListener("click", clearMarkers);
+  renderMarkerList();
+}
+
+// --- Animation (time variable t) ---
+
+function isAnimated(layer) {
+  const source = layer.surface || layer.curve || layer.implicit;
+  return !!(source && source.usesTime);
+}
+
+// re-evaluate the layers that use t at the current t, reusing their geometry
+function updateAnimatedLayers() {
+  for (const layer of layers) {
+    if (!isAnimated(layer)) continue;
+    if (layer.curve) {
+      layer.curve.scope.t = timeState.t;
+      updateCurveMesh(layer);
+      continue;
+    }
+    if (layer.implicit) {
+      try {
+        updateImplicitMesh(layer);
+      } catch (e) {
+        setPlaying(false);
+        showStatus(`${layer.spec.name}, t = ${timeState.t.toFixed(3)}: ${e.message}`, "error");
+        return;
+      }
+      continue;
+    }
+    if (vertexCount(layer) > PAGE_MAX_VERTICES) {
+      // too large to resample every frame: the worker re-meshes it, one job
+      // at a time while playing and once more when t settles
+      if (!activeJob) resampleSurfaceMesh(layer, layer.surface);
+      whenTimeSettles(layer.id, () => resampleSurfaceMesh(layer, layer.surface));
+      continue;
+    }
+
+    const geometry = layer.mesh.geometry;
+    const position = geometry.attributes.position;
+    layer.surface.scope.t = timeState.t;
+
+    const sampleError = sampleSurface(layer.surface, position.array);
+    if (sampleError) {
+      setPlaying(false);
+      showStatus(
+        `${layer.spec.name}, t = ${timeState.t.toFixed(3)}: ${sampleError}`,
+        "error"
+      );
+      return;
+    }
+    position.needsUpdate = true;
+    if (layer.surface.validChanged) {
+      geometry.setIndex(new THREE.BufferAttribute(surfaceTriangles(layer.surface), 1));
+    }
+    geometry.computeVertexNormals();
+    applyExactNormals(layer.surface, geometry.attributes.normal.array);
+    updateHoleOutline(layer.mesh, layer.surface);
+    updateIsoLines(layer.mesh, layer.surface);
+    computeSurfaceBounds(geometry, layer.surface);
+    layer.analysis = null;
+    applyLayerColors(layer);
+    // analysing every vertex is too slow to redo each frame: the overlay
+    // is hidden while t changes
+    if (layer.overlay) {
+      disposeAnalysisOverlay(layer);
+      whenTimeSettles("overlay", () => {
+        if (layer.id === selectedLayerId && layers.includes(layer)) updateAnalysisOverlay(layer);
+      });
+    }
+  }
+}
+
+// Run `fn` once playback is paused and t has stayed put for a moment, for
+// work too slow to redo every frame; a newer call with the same `key`
+// replaces it.
+const SETTLE_DELAY = 300;
+const settleTimers = new Map();
+
+function whenTimeSettles(key, fn) {
+  clearTimeout(settleTimers.get(key));
+  settleTimers.set(
+    key,
+    setTimeout(() => {
+      if (timeState.playing) {
+        whenTimeSettles(key, fn);
+        return;
+      }
+      settleTimers.delete(key);
+      fn();
+    }, SETTLE_DELAY)
+  );
+}
+
+function advanceTime(now) {
+  const last = timeState.lastFrame;
+  timeState.lastFrame = now;
+  if (!timeState.playing || last == null || now == null) return;
+
+  const dt = Math.min(0.1, (now - last) / 1000);
+  const span = timeState.max - timeState.min;
+  let t = timeState.t + dt * timeState.speed;
+  if (span > 0) {
+    t = timeState.min + ((((t - timeState.min) % span) + span) % span);
+  }
+  setTime(t);
+}
+
+function setTime(t) {
+  timeState.t = t;
+  const slider = document.getElementById("time-slider");
+  if (slider) slider.value = t;
+  const readout = document.getElementById("time-readout");
+  if (readout) readout.textContent = `t = ${t.toFixed(2)}`;
+  updateAnimatedLayers();
+}
+
+function setPlaying(playing) {
+  timeState.playing = playing;
+  const btn = document.getElementById("time-play");
+  if (btn) btn.textContent = playing ? "Pause" : "Play";
+}
+
+// read the t range / speed fields; returns false (and reports) if invalid
+function readTimeControls() {
+  try {
+    const scope = getParamScope();
+    const min = evalBound("t min", document.getElementById("t-min").value, scope);
+    const max = evalBound("t max", document.getElementById("t-max").value, scope);
+    if (max <= min) throw new Error("t max must be greater than t min.");
+    const speed = Number(document.getElementById("time-speed").value);
+    if (!Number.isFinite(speed)) throw new Error("Speed must be a number.");
+
+    timeState.min = min;
+    timeState.max = max;
+    timeState.speed = speed;
+  } catch (e) {
+    showStatus(e.message, "error", e.snippet);
+    return false;
+  }
+
+  const slider = document.getElementById("time-slider");
+  slider.min = timeState.min;
+  slider.max = timeState.max;
+  slider.step = (timeState.max - timeState.min) / 1000;
+  if (timeState.t < timeState.min || timeState.t > timeState.max) {
+    setTime(timeState.min);
+  }
+  return true;
+}
+
+function setupTimeControls() {
+  document.getElementById("time-play").addEventListener("click", () => {
+    if (!timeState.playing && !readTimeControls()) return;
+    setPlaying(!timeState.playing);
+    if (timeState.playing && !layers.some(isAnimated)) {
+      showStatus("Playing — use t in x, y or z to animate the surface.", "ok");
+    }
+  });
+
+  document.getElementById("time-slider").addEventListener("input", (e) => {
+    setTime(Number(e.target.value));
+  });
+
+  ["t-min", "t-max", "time-speed"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", readTimeControls);
+  });
+
+  readTimeControls();
+  setTime(timeState.min);
+}
+
+// --- Presets (save / load & examples) ---
+
+// Load a preset as returned by readPreset: its `presets` array holds one
+// entry per layer.
+function applyPresetToUI(preset) {
+  if (!preset) return;
+  // read first, so that bad parameters leave the scene as it was
+  const loadedParams = readParams(preset.params);
+
+  if (preset.name) {
+    const nameInput = document.getElementById("preset-name");
+    if (nameInput) nameInput.value = preset.name;
+  }
+
+  const entries = preset.presets;
+
+  clearLayers();
+  entries.forEach((entry) => layers.push(createLayer(entry)));
+  selectedLayerId = layers[0].id;
+  writeLayerToUI(layers[0]);
+  renderLayerList();
+
+  params = loadedParams;
+  renderParamList();
+
+  document.getElementById("t-min").value = preset.tMin ?? "0";
+  document.getElementById("t-max").value = preset.tMax ?? "2 * pi";
+  document.getElementById("time-speed").value = preset.tSpeed ?? 1;
+  readTimeControls();
+}
+
+// normalized params of a preset or example; throws on a name the parameter
+// editor would refuse
+function readParams(list) {
+  const out = [];
+  if (!Array.isArray(list)) return out;
+  list.forEach((raw, i) => {
+    const p = normalizeParam(raw);
+    const problem = paramNameProblem(p.name);
+    if (problem) throw new Error(`Parameter ${i + 1}: ${problem}.`);
+    if (out.some((q) => q.name === p.name)) {
+      throw new Error(`Parameter ${i + 1}: "${p.name}" is used twice.`);
+    }
+    out.push(p);
+  });
+  return out;
+}
+
+// add params by name, replacing any existing param of the same name
+function mergeParams(list) {
+  readParams(list).forEach((p) => {
+    const existing = params.findIndex((q) => q.name === p.name);
+    if (existing >= 0) params[existing] = p;
+    else params.push(p);
+  });
+}
+
+// start playback when a freshly loaded scene depends on t
+function autoplayIfAnimated() {
+  if (layers.some(isAnimated) && !timeState.playing) {
+    setPlaying(true);
+  }
+}
+
+// examples replace the selected layer's surface, other layers are kept
+function applyExample(key, buildOptions) {
+  if (key === "custom") {
+    showStatus("Custom mode: your existing equations are preserved.", "ok");
+    return;
+  }
+
+  const ex = EXAMPLES[key];
+  const layer = selectedLayer();
+  if (!ex || !layer) return;
+
+  syncEditorToLayer();
+  layer.spec.mode = ex.mode || "parametric";
+  ["name", "x", "y", "z", "uMin", "uMax", "vMin", "vMax", "uSteps", "vSteps",
+    "f", "xMin", "xMax", "yMin", "yMax", "zMin", "zMax", "implicitResolution"]
+    .forEach((field) => {
+      if (ex[field] != null) layer.spec[field] = ex[field];
+    });
+  writeLayerToUI(layer);
+
+  mergeParams(ex.params);
+  renderParamList();
+
+  buildSurface(buildOptions);
+}
+
+function collectPresetFromUI() {
+  const name =
+    document.getElementById("preset-name").value.trim() || "My surface";
+
+  syncEditorToLayer();
+
+  return {
+    type: PRESET_TYPE,
+    version: PRESET_VERSION,
+    name,
+    params: params.map((p) => ({ ...p })),
+    tMin: document.getElementById("t-min").value,
+    tMax: document.getElementById("t-max").value,
+    tSpeed: Number(document.getElementById("time-speed").value),
+    presets: layers.map((layer) => ({ ...layer.spec })),
+    view: collectView(),
+  };
+}
+
+// an invalid preset is reported in full and not applied at all
+function reportPresetProblems(what, problems) {
+  const count = `${problems.length} problem${problems.length === 1 ? "" : "s"}`;
+  showStatus(
+    `${what} was rejected (${count}); nothing was changed.`,
+    "error",
+    problems.map((p) => `• ${p}`).join("\n")
+  );
+}
+
+function slugify(name, fallback = "surface") {
+  return (
+    (name || fallback)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || fallback
+  );
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function handleSavePreset() {
+  try {
+    const preset = collectPresetFromUI();
+    const json = JSON.stringify(preset, null, 2);
+
+    const blob = new Blob([json], { type: "application/json" });
+    downloadBlob(blob, `${slugify(preset.name)}.json`);
+
+    showStatus(`Preset "${preset.name}" downloaded.`, "ok");
+  } catch (e) {
+    showStatus("Failed to save preset: " + (e.message || e), "error");
+  }
+}
+
+function handleLoadPreset(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    try {
+      const text = e.target.result;
+      const data = JSON.parse(text);
+
+      if (!data || typeof data !== "object") {
+        throw new Error("File does not contain a valid preset object.");
+      }
+      // a library bundle adds all of its presets to the library
+      if (isLibraryBundle(data)) {
+        importLibraryBundle(data, file.name);
+        return;
+      }
+
+      const { preset, problems } = readPreset(data);
+      if (!preset) {
+        reportPresetProblems(`Preset file ${file.name}`, problems);
+        return;
+      }
+      applyPresetToUI(preset);
+      if (!(await rebuildAllLayers({ reframe: true }))) return;
+      if (preset.view) applyView(preset.view);
+      autoplayIfAnimated();
+
+      showStatus(`Loaded preset "${preset.name || file.name}".${missingImageNote()}`, "ok");
+    } catch (err) {
+      showStatus("Could not read preset file: " + err.message, "error");
+    } finally {
+      event.target.value = "";
+    }
+  };
+  reader.readAsText(file);
+}
+
+// --- Preset library ---
+
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 100;
+
+let libraryEntries = [];
+
+// the current view, cropped to the thumbnail's aspect, as a JPEG data URL
+function captureThumbnail() {
+  if (!renderer || !scene || !camera) return "";
+  // WebGL only keeps the drawing buffer readable right after a render
+  renderer.render(scene, camera);
+  const source = renderer.domElement;
+  const canvas = document.createElement("canvas");
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  const ctx = canvas.getContext("2d");
+  if (!ctx || !source.width || !source.height) return "";
+
+  const scale = Math.max(THUMBNAIL_WIDTH / source.width, THUMBNAIL_HEIGHT / source.height);
+  const w = source.width * scale;
+  const h = source.height * scale;
+  ctx.fillStyle = "#020617";
+  ctx.fillRect(0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  ctx.drawImage(source, (THUMBNAIL_WIDTH - w) / 2, (THUMBNAIL_HEIGHT - h) / 2, w, h);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+// write the library to storage; false (with a message) when it is full
+function persistLibrary() {
+  try {
+    saveLibrary(libraryEntries);
+    return true;
+  } catch (e) {
+    showStatus(
+      "Could not store the library: " + (e.message || e) +
+        " Delete or export some presets to free space.",
+      "error"
+    );
+    return false;
+  }
+}
+
+function formatLibraryDate(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleDateString();
+}
+
+function renderLibrary() {
+  const list = document.getElementById("library-list");
+  if (!list) return;
+  list.innerHTML = "";
+
+  const query = document.getElementById("library-search").value;
+  const entries = searchLibrary(libraryEntries, query);
+  const empty = document.getElementById("library-empty");
+  empty.hidden = entries.length > 0;
+  empty.textContent = libraryEntries.length
+    ? "No presets match the search."
+    : "No presets saved yet.";
+
+  entries.forEach((entry) => {
+    const item = document.createElement("li");
+    item.className = "library-item";
+
+    const thumb = document.createElement("img");
+    thumb.className = "library-thumb";
+    thumb.alt = "";
+    if (entry.thumbnail) thumb.src = entry.thumbnail;
+    thumb.title = "Load";
+    thumb.addEventListener("click", () => loadLibraryEntry(entry.id));
+
+    const info = document.createElement("div");
+    info.className = "library-info";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.className = "library-name";
+    name.value = entry.name;
+    name.title = "Rename";
+    name.addEventListener("change", () => renameLibraryEntry(entry.id, name.value));
+
+    const meta = document.createElement("span");
+    meta.className = "library-meta";
+    meta.textContent = [formatLibraryDate(entry.date), entry.tags.join(", ")]
+      .filter(Boolean)
+      .join(" · ");
+
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+    [
+      ["Load", () => loadLibraryEntry(entry.id)],
+      ["Duplicate", () => duplicateLibraryEntry(entry.id)],
+      ["Delete", () => deleteLibraryEntry(entry.id)],
+    ].forEach(([label, action]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary";
+      button.textContent = label;
+      button.addEventListener("click", action);
+      actions.appendChild(button);
+    });
+
+    info.append(name, meta, actions);
+    item.append(thumb, info);
+    list.appendChild(item);
+  });
+}
+
+function handleSaveToLibrary() {
+  const preset = collectPresetFromUI();
+  const entry = createEntry(preset, {
+    tags: parseTags(document.getElementById("preset-tags").value),
+    thumbnail: captureThumbnail(),
+  });
+  libraryEntries.push(entry);
+  if (!persistLibrary()) {
+    libraryEntries.pop();
+    return;
+  }
+  renderLibrary();
+  showStatus(`Preset "${entry.name}" saved to the library.`, "ok");
+}
+
+async function loadLibraryEntry(id) {
+  const entry = libraryEntries.find((e) => e.id === id);
+  if (!entry) return;
+  const { preset, problems } = readPreset(entry.preset);
+  if (!preset) {
+    reportPresetProblems(`Library preset "${entry.name}"`, problems);
+    return;
+  }
+  try {
+    applyPresetToUI(preset);
+  } catch (e) {
+    showStatus(`Library preset "${entry.name}": ${e.message}`, "error");
+    return;
+  }
+  document.getElementById("preset-tags").value = entry.tags.join(", ");
+  if (!(await rebuildAllLayers({ reframe: true }))) return;
+  if (preset.view) applyView(preset.view);
+  autoplayIfAnimated();
+  showStatus(`Loaded preset "${entry.name}" from the library.${missingImageNote()}`, "ok");
+}
+
+function renameLibraryEntry(id, name) {
+  const entry = libraryEntries.find((e) => e.id === id);
+  const trimmed = name.trim();
+  if (!entry || !trimmed || trimmed === entry.name) {
+    renderLibrary();
+    return;
+  }
+  const previous = entry.name;
+  entry.name = trimmed;
+  entry.preset.name = trimmed;
+  if (!persistLibrary()) {
+    entry.name = previous;
+    entry.preset.name = previous;
+  }
+  renderLibrary();
+}
+
+function duplicateLibraryEntry(id) {
+  const entry = libraryEntries.find((e) => e.id === id);
+  if (!entry) return;
+  const copy = createEntry(structuredClone(entry.preset), {
+    name: `${entry.name} (copy)`,
+    tags: [...entry.tags],
+    thumbnail: entry.thumbnail,
+  });
+  libraryEntries.push(copy);
+  if (!persistLibrary()) {
+    libraryEntries.pop();
+    return;
+  }
+  renderLibrary();
+  showStatus(`Preset duplicated as "${copy.name}".`, "ok");
+}
+
+function deleteLibraryEntry(id) {
+  const index = libraryEntries.findIndex((e) => e.id === id);
+  if (index < 0) return;
+  const [removed] = libraryEntries.splice(index, 1);
+  persistLibrary();
+  renderLibrary();
+  showStatus(`Preset "${removed.name}" deleted from the library.`, "ok");
+}
+
+function handleExportLibrary() {
+  if (!libraryEntries.length) {
+    showStatus("The library is empty.", "error");
+    return;
+  }
+  const json = JSON.stringify(libraryBundle(libraryEntries), null, 2);
+  downloadBlob(new Blob([json], { type: "application/json" }), "surface-library.json");
+  showStatus(`Library exported (${libraryEntries.length} presets).`, "ok");
+}
+
+// add every preset of a bundle to the library; one invalid preset rejects
+// the whole bundle (throws on entries that are not objects)
+function importLibraryBundle(data, fileName) {
+  const entries = entriesFromBundle(data);
+  const problems = [];
+  entries.forEach((entry, i) => {
+    const result = readPreset(entry.preset);
+    if (result.preset) entry.preset = result.preset;
+    else problems.push(...result.problems.map((p) => `entry ${i + 1}, ${p}`));
+  });
+  if (problems.length) {
+    reportPresetProblems(`Library file ${fileName}`, problems);
+    return;
+  }
+  libraryEntries.push(...entries);
+  if (!persistLibrary()) {
+    libraryEntries.splice(libraryEntries.length - entries.length);
+    return;
+  }
+  renderLibrary();
+  const count = `${entries.length} preset${entries.length === 1 ? "" : "s"}`;
+  showStatus(`Imported ${count} from ${fileName} into the library.`, "ok");
+}
+
+function handleImportLibrary(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const data = JSON.parse(e.target.result);
+      if (!data || !Array.isArray(data.presets)) {
+        throw new Error("expected a library file with a presets list.");
+      }
+      // a single saved scene is added as one entry
+      importLibraryBundle(isLibraryBundle(data) ? data : { presets: [data] }, file.name);
+    } catch (err) {
+      showStatus("Could not import library: " + err.message, "error");
+    } finally {
+      event.target.value = "";
+    }
+  };
+  reader.readAsText(file);
+}
+
+function setupLibrary() {
+  libraryEntries = loadLibrary();
+  document
+    .getElementById("save-library-button")
+    .addEventListener("click", handleSaveToLibrary);
+  document.getElementById("library-search").addEventListener("input", renderLibrary);
+  document
+    .getElementById("export-library-button")
+    .addEventListener("click", handleExportLibrary);
+  document
+    .getElementById("import-library-input")
+    .addEventListener("change", handleImportLibrary);
+  renderLibrary();
+}
+
+// --- Edit history ---
+
+// a build is recorded once no other build followed it for this long, so a
+// slider drag becomes one step
+const HISTORY_DELAY = 800;
+
+let editHistory = { entries: [], index: -1 };
+let historyTimer = null;
+
+// remember the scene just built; the thumbnail is taken when it is recorded
+function scheduleHistorySnapshot() {
+  const { view, ...preset } = collectPresetFromUI();
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(() => {
+    historyTimer = null;
+    const next = pushSnapshot(editHistory, {
+      preset,
+      selected: view.selected,
+      thumbnail: captureThumbnail(),
+    });
+    if (next === editHistory) return;
+    storeHistory(next);
+    renderHistory();
+  }, HISTORY_DELAY);
+}
+
+function storeHistory(history) {
+  try {
+    editHistory = saveHistory(history);
+  } catch (e) {
+    // too large for the storage: kept for this session only
+    editHistory = history;
+  }
+}
+
+function formatHistoryTime(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleString();
+}
+
+function renderHistory() {
+  const list = document.getElementById("history-list");
+  if (!list) return;
+  list.innerHTML = "";
+  const { entries, index } = editHistory;
+  document.getElementById("history-empty").hidden = entries.length > 0;
+  document.getElementById("history-undo").disabled = index <= 0;
+  document.getElementById("history-redo").disabled = index >= entries.length - 1;
+  document.getElementById("history-clear").disabled = entries.length === 0;
+
+  entries.forEach((entry, i) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-item";
+    if (i === index) button.classList.add("current");
+    if (i > index) button.classList.add("ahead");
+    const layerNames = (entry.preset.presets || []).map((l) => l.name).join(", ");
+    button.title = [formatHistoryTime(entry.date), layerNames].filter(Boolean).join("\n");
+
+    const thumb = document.createElement("img");
+    thumb.alt = `Step ${i + 1}`;
+    if (entry.thumbnail) thumb.src = entry.thumbnail;
+    button.appendChild(thumb);
+    button.addEventListener("click", () => goToHistoryEntry(i));
+
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+
+  // keep the current step in view
+  const current = list.children[index];
+  if (current) {
+    const centered = current.offsetLeft - (list.clientWidth - current.offsetWidth) / 2;
+    list.scrollLeft = Math.max(0, centered);
+  }
+}
+
+// put the scene of history entry `index` back on screen
+async function goToHistoryEntry(index) {
+  const entry = editHistory.entries[index];
+  if (!entry || index === editHistory.index) return;
+  const { preset, problems } = readPreset(entry.preset);
+  if (!preset) {
+    reportPresetProblems("This history step", problems);
+    return;
+  }
+
+  try {
+    applyPresetToUI(preset);
+  } catch (e) {
+    showStatus(`This history step: ${e.message}`, "error");
+    return;
+  }
+  clearTimeout(historyTimer);
+  storeHistory({ ...editHistory, index });
+  renderHistory();
+  const selected = layers[entry.selected];
+  if (selected) selectLayer(selected.id);
+  const built = await rebuildAllLayers({ reframe: false });
+  // the restored scene is already in the history
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  if (built) {
+    showStatus(
+      `History step ${index + 1} of ${editHistory.entries.length} ✔${missingImageNote()}`,
+      "ok"
+    );
+  }
+}
+
+function stepHistory(delta) {
+  goToHistoryEntry(editHistory.index + delta);
+}
+
+function handleClearHistory() {
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  editHistory = clearHistory();
+  renderHistory();
+  showStatus("History cleared.", "ok");
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except in text fields, which keep
+// their own undo, and in the Fourier panel: there Ctrl+Z on the drawing
+// canvas undoes the last stroke
+function handleHistoryKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") return;
+  const target = e.target;
+  if (target.closest && target.closest("#draw-canvas, #fourier-coeffs")) {
+    if (target.id === "draw-canvas" && !e.shiftKey) {
+      e.preventDefault();
+      undoFourierStroke();
+    }
+    return;
+  }
+  const typing =
+    target.isContentEditable ||
+    target.tagName === "TEXTAREA" ||
+    (target.tagName === "INPUT" &&
+      !["checkbox", "radio", "range", "button", "color", "file"].includes(target.type));
+  if (typing) return;
+  e.preventDefault();
+  stepHistory(e.shiftKey ? 1 : -1);
+}
+
+function setupHistory() {
+  editHistory = loadHistory();
+  document
+    .getElementById("history-undo")
+    .addEventListener("click", () => stepHistory(-1));
+  document
+    .getElementById("history-redo")
+    .addEventListener("click", () => stepHistory(1));
+  document
+    .getElementById("history-clear")
+    .addEventListener("click", handleClearHistory);
+  document.addEventListener("keydown", handleHistoryKeys);
+  renderHistory();
+}
+
+// --- Share links ---
+
+const roundVector = (v) => [v.x, v.y, v.z].map((c) => Number(c.toFixed(4)));
+
+// camera, time and display toggles, next to the preset
+function collectView() {
+  return {
+    camera: roundVector(camera.position),
+    target: roundVector(controls.target),
+    t: Number(timeState.t.toFixed(4)),
+    selected: layers.findIndex((l) => l.id === selectedLayerId),
+    glyphs: document.getElementById("analysis-glyphs").checked,
+    singular: document.getElementById("analysis-singular").checked,
+  };
+}
+
+function applyView(view) {
+  const vector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+  if (vector(view.camera) && vector(view.target)) {
+    camera.position.set(...view.camera);
+    controls.target.set(...view.target);
+    controls.update();
+  }
+  const selected = layers[view.selected];
+  if (selected) selectLayer(selected.id);
+  if (Number.isFinite(view.t)) setTime(view.t);
+  document.getElementById("analysis-glyphs").checked = view.glyphs === true;
+  document.getElementById("analysis-singular").checked = view.singular === true;
+}
+
+async function handleCopyLink() {
+  const output = document.getElementById("share-link");
+  output.hidden = true;
+  const state = collectPresetFromUI();
+
+  let url;
+  try {
+    url = `${location.href.split("#")[0]}#${await encodeState(state)}`;
+  } catch (e) {
+    showStatus("Could not create a link: " + (e.message || e), "error");
+    return;
+  }
+
+  // too long for a link: hand out the same state as a preset file
+  if (url.length > MAX_LINK_LENGTH) {
+    const json = JSON.stringify(state, null, 2);
+    downloadBlob(new Blob([json], { type: "application/json" }), `${slugify(state.name)}.json`);
+    showStatus(
+      `This scene is too large for a link (${url.length} characters); ` +
+        "it was downloaded as a preset file to share instead.",
+      "error"
+    );
+    return;
+  }
+
+  history.replaceState(null, "", url);
+  output.value = url;
+  try {
+    await navigator.clipboard.writeText(url);
+    showStatus("Link copied to the clipboard.", "ok");
+  } catch (e) {
+    // no clipboard access (e.g. over plain http): copy it by hand
+    output.hidden = false;
+    output.select();
+    showStatus("Copy the link below to share this surface.", "ok");
+  }
+}
+
+// restore the scene in the URL hash; false when there is none or it is
+// unreadable
+async function restoreFromHash() {
+  if (!hasState(location.hash)) return false;
+  let state;
+  try {
+    state = await decodeState(location.hash);
+  } catch (e) {
+    showStatus("Could not read the surface in the link: " + (e.message || e), "error");
+    return false;
+  }
+
+  const { preset, problems } = readPreset(state);
+  if (!preset) {
+    reportPresetProblems("The surface in the link", problems);
+    return false;
+  }
+  try {
+    applyPresetToUI(preset);
+  } catch (e) {
+    showStatus(`The surface in the link: ${e.message}`, "error");
+    return false;
+  }
+  if (await rebuildAllLayers({ reframe: true })) {
+    if (preset.view) applyView(preset.view);
+    autoplayIfAnimated();
+    showStatus(
+      `Restored "${preset.name || "surface"}" from the link.${missingImageNote()}`,
+      "ok"
+    );
+  }
+  return true;
+}
+
+// --- Mesh export ---
+
+async function handleExportMesh() {
+  const format = document.getElementById("export-format").value;
+  const scope = document.getElementById("export-scope").value;
+  const weld = document.getElementById("export-weld").checked;
+  const thickness = Number(document.getElementById("export-thickness").value) || 0;
+  const targetSize = Number(document.getElementById("export-size").value) || 0;
+
+  if (thickness < 0 || targetSize < 0) {
+    showStatus("Thickness and target size must be positive.", "error");
+    return;
+  }
+
+  const selected = selectedLayer();
+  const sources = (scope === "visible"
+    ? layers.filter((l) => l.spec.visible)
+    : [selected]
+  ).filter((l) => l && l.mesh && l.mesh.isMesh);
+
+  if (sources.length === 0) {
+    showStatus("Nothing to export — plot a surface first.", "error");
+    return;
+  }
+
+  let object = null;
+  try {
+    object = prepareExportObject(
+      sources.map((l) => l.mesh),
+      { weld, thickness, targetSize }
+    );
+    const blob = await exportObject(object, format);
+
+    const baseName =
+      scope === "visible"
+        ? document.getElementById("preset-name").value.trim()
+        : selected.spec.name;
+    const { ext, label } = EXPORT_FORMATS[format];
+    downloadBlob(blob, `${slugify(baseName)}.${ext}`);
+
+    showStatus(`Exported ${sources.length} layer(s) as ${label}.`, "ok");
+  } catch (e) {
+    showStatus("Export failed: " + (e.message || e), "error");
+  } finally {
+    if (object) disposeExportObject(object);
+  }
+}
+
+// --- Fourier drawing section ---
+
+function clearDrawCanvas() {
+  if (!drawCtx || !drawCanvas) return;
+  drawCtx.clearRect(0, 0, drawCanvas.width, drawCanvas.height);
+  drawCtx.fillStyle = "#020617";
+  drawCtx.fillRect(0, 0, drawCanvas.width, drawCanvas.height);
+  drawCtx.strokeStyle = "rgba(148,163,184,0.5)";
+  drawCtx.lineWidth = 1;
+  drawCtx.strokeRect(0.5, 0.5, drawCanvas.width - 1, drawCanvas.height - 1);
+}
+
+function setupFourierDrawing() {
+  drawCanvas = document.getElementById("draw-canvas");
+  if (!drawCanvas) return;
+  drawCtx = drawCanvas.getContext("2d");
+  clearDrawCanvas();
+
+  const getPos = (evt) => {
+    const rect = drawCanvas.getBoundingClientRect();
+    let clientX, clientY;
+    if (evt.touches && evt.touches.length > 0) {
       clientX = evt.touches[0].clientX;
       clientY = evt.touches[0].clientY;
     } else {
@@ -576,9 +3864,14 @@ function setupFourierDrawing() {
     };
   };
 
+  let previousPoints = drawPoints;
+
   const start = (evt) => {
     evt.preventDefault();
+    // focused, so that Ctrl+Z undoes strokes rather than plotted scenes
+    drawCanvas.focus();
     isDrawing = true;
+    previousPoints = drawPoints;
     drawPoints = [];
     const p = getPos(evt);
     drawPoints.push(p);
@@ -608,6 +3901,9 @@ function setupFourierDrawing() {
     evt.preventDefault();
     isDrawing = false;
     drawCtx.closePath();
+    // a click without movement keeps the current curve
+    if (drawPoints.length > 1) addFourierStroke(drawPoints);
+    else drawPoints = previousPoints;
   };
 
   drawCanvas.addEventListener("mousedown", start);
@@ -619,6 +3915,37 @@ function setupFourierDrawing() {
   window.addEventListener("touchend", end);
 }
 
+// the stroke is resampled to this many points before the fit
+const FOURIER_SAMPLES = 512;
+
+// `count` points evenly spaced by arc length along the polyline through
+// `points`. A closed path runs back to its start; the start is not
+// repeated at the end.
+function resampleByArcLength(points, count, closed) {
+  const path = closed ? [...points, points[0]] : points;
+  const lengths = [0];
+  for (let i = 1; i < path.length; i++) {
+    const dx = path[i].x - path[i - 1].x;
+    const dy = path[i].y - path[i - 1].y;
+    lengths.push(lengths[i - 1] + Math.hypot(dx, dy));
+  }
+  const total = lengths[lengths.length - 1];
+  const intervals = closed ? count : count - 1;
+
+  const out = [];
+  let seg = 1;
+  for (let n = 0; n < count; n++) {
+    const s = (total * n) / intervals;
+    while (seg < path.length - 1 && lengths[seg] < s) seg++;
+    const a = path[seg - 1];
+    const b = path[seg];
+    const len = lengths[seg] - lengths[seg - 1];
+    const f = len > 0 ? (s - lengths[seg - 1]) / len : 0;
+    out.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+  }
+  return out;
+}
+
 function computeFourierCoeffs(vals, maxK) {
   const N = vals.length;
   const a = new Array(maxK + 1).fill(0);
@@ -672,20 +3999,89 @@ function buildFourierEquation(coeffs, paramName) {
   return expr;
 }
 
-function fourierSeriesEval(coeffs, t) {
-  const { a0, a, b, K } = coeffs;
-  let v = a0 / 2;
-  for (let k = 1; k <= K; k++) {
-    v += a[k] * Math.cos(k * t) + b[k] * Math.sin(k * t);
+function fourierSeriesEval(coeffs, t) {
+  const { a0, a, b, K } = coeffs;
+  let v = a0 / 2;
+  for (let k = 1; k <= K; k++) {
+    v += a[k] * Math.cos(k * t) + b[k] * Math.sin(k * t);
+  }
+  return v;
+}
+
+// Complex coefficients of z(u) = x(u) + i y(u) ≈ Σ c_k e^(iku) for
+// k = −K..K, from the a/b coefficients of x and y:
+// c_k = (a_x + b_y) / 2 + i (a_y − b_x) / 2,
+// c_−k = (a_x − b_y) / 2 + i (a_y + b_x) / 2 and c_0 = (a0_x + i a0_y) / 2,
+// so the circles trace the same curve as the series, edited or not.
+function complexFourierTerms(coeffsX, coeffsY) {
+  const term = (k, re, im) => ({
+    k,
+    re,
+    im,
+    radius: Math.hypot(re, im),
+    phase: Math.atan2(im, re),
+  });
+  const terms = [];
+  for (let k = -coeffsX.K; k <= coeffsX.K; k++) {
+    if (k === 0) {
+      terms.push(term(0, coeffsX.a0 / 2, coeffsY.a0 / 2));
+      continue;
+    }
+    const j = Math.abs(k);
+    const s = Math.sign(k);
+    terms.push(
+      term(
+        k,
+        (coeffsX.a[j] + s * coeffsY.b[j]) / 2,
+        (coeffsY.a[j] - s * coeffsX.b[j]) / 2
+      )
+    );
+  }
+  return terms;
+}
+
+// epicycles: c_0 is the fixed center, the rest turn largest first
+function epicycleCircles(coeffsX, coeffsY) {
+  const terms = complexFourierTerms(coeffsX, coeffsY);
+  return {
+    center: terms.find((term) => term.k === 0),
+    circles: terms
+      .filter((term) => term.k !== 0)
+      .sort((p, q) => q.radius - p.radius),
+  };
+}
+
+// root-mean-square distance between the first `count` samples and the
+// series at the same u
+function fourierRmsError(xs, ys, coeffsX, coeffsY, count) {
+  let sum = 0;
+  for (let n = 0; n < count; n++) {
+    const t = (2 * Math.PI * n) / xs.length;
+    const dx = fourierSeriesEval(coeffsX, t) - xs[n];
+    const dy = fourierSeriesEval(coeffsY, t) - ys[n];
+    sum += dx * dx + dy * dy;
   }
-  return v;
+  return Math.sqrt(sum / count);
 }
 
-function redrawFourierApprox(coeffsX, coeffsY) {
+// the curves on the canvas: the current one light, the others faint
+function drawFourierCurves() {
   if (!drawCtx || !drawCanvas) return;
 
   clearDrawCanvas();
 
+  // other curves (faint)
+  drawCtx.save();
+  drawCtx.strokeStyle = "rgba(148,163,184,0.35)";
+  drawCtx.lineWidth = 1;
+  fourierCurves.forEach(({ points }) => {
+    if (points === drawPoints) return;
+    drawCtx.beginPath();
+    points.forEach((p, i) => (i ? drawCtx.lineTo(p.x, p.y) : drawCtx.moveTo(p.x, p.y)));
+    drawCtx.stroke();
+  });
+  drawCtx.restore();
+
   // draw original stroke (light)
   if (drawPoints.length > 1) {
     drawCtx.save();
@@ -701,6 +4097,13 @@ function redrawFourierApprox(coeffsX, coeffsY) {
     drawCtx.stroke();
     drawCtx.restore();
   }
+}
+
+// tMax: 2π for a closed fit, π for an open (mirrored) one
+function redrawFourierApprox(coeffsX, coeffsY, tMax = 2 * Math.PI) {
+  if (!drawCtx || !drawCanvas) return;
+
+  drawFourierCurves();
 
   // draw Fourier approximation
   const w = drawCanvas.width;
@@ -716,7 +4119,7 @@ function redrawFourierApprox(coeffsX, coeffsY) {
 
   const steps = 400;
   for (let i = 0; i <= steps; i++) {
-    const t = (2 * Math.PI * i) / steps;
+    const t = (tMax * i) / steps;
     const x = fourierSeriesEval(coeffsX, t);
     const y = fourierSeriesEval(coeffsY, t);
     const px = cx + x * scale;
@@ -728,19 +4131,33 @@ function redrawFourierApprox(coeffsX, coeffsY) {
   drawCtx.restore();
 }
 
-function handleFourierCompute() {
-  if (!drawPoints || drawPoints.length < 16) {
-    showStatus("Draw a curve in the canvas first (at least ~16 points).", "error");
-    return;
-  }
-
+// K from the terms input, clamped to 1..60
+function readFourierTerms() {
   const termsInput = document.getElementById("fourier-terms");
   let K = parseInt(termsInput.value, 10);
   if (!Number.isFinite(K) || K < 1) K = 5;
   if (K > 60) K = 60;
   termsInput.value = K;
+  return K;
+}
+
+// Fit K harmonics to a stroke given in canvas pixels. Returns
+// { points, samples, coeffsX, coeffsY, harmonics, eqX, eqY, open, error,
+// center, circles }; `samples` ({ xs, ys, count }) keep the error up to date
+// when coefficients are edited, `harmonics` ({ x, y }) hold the amplitude
+// and phase of each harmonic as shown in the coefficient table.
+function fitFourier(points, K, open) {
+  // evenly spaced by arc length, so slow parts of the stroke don't weigh
+  // more; an open stroke is traced forth and back to make it periodic
+  const N = FOURIER_SAMPLES;
+  let samples;
+  if (open) {
+    const forth = resampleByArcLength(points, N / 2 + 1, false);
+    samples = [...forth, ...forth.slice(1, -1).reverse()];
+  } else {
+    samples = resampleByArcLength(points, N, true);
+  }
 
-  const N = drawPoints.length;
   const xs = new Array(N);
   const ys = new Array(N);
 
@@ -751,32 +4168,672 @@ function handleFourierCompute() {
   const scale = Math.min(w, h) / 2;
 
   for (let n = 0; n < N; n++) {
-    const p = drawPoints[n];
+    const p = samples[n];
     xs[n] = (p.x - cx) / scale;
     ys[n] = (cy - p.y) / scale; // flip y to make up positive
   }
 
   const coeffsX = computeFourierCoeffs(xs, K);
   const coeffsY = computeFourierCoeffs(ys, K);
+  const count = open ? N / 2 + 1 : N;
+
+  return {
+    points,
+    samples: { xs, ys, count },
+    coeffsX,
+    coeffsY,
+    harmonics: { x: harmonicList(coeffsX), y: harmonicList(coeffsY) },
+    eqX: buildFourierEquation(coeffsX, "u"),
+    eqY: buildFourierEquation(coeffsY, "u"),
+    open,
+    error: fourierRmsError(xs, ys, coeffsX, coeffsY, count),
+    ...epicycleCircles(coeffsX, coeffsY),
+  };
+}
 
-  const eqX = buildFourierEquation(coeffsX, "u");
-  const eqY = buildFourierEquation(coeffsY, "u");
+// equations, error and approximation of the current fit
+function showFourierFit() {
+  const { coeffsX, coeffsY, open, error } = fourierFit;
+  document.getElementById("fourier-x-output").value = fourierFit.eqX;
+  document.getElementById("fourier-y-output").value = fourierFit.eqY;
+  document.getElementById("fourier-error").textContent =
+    `RMS error ${formatNumber(error)}`;
+  redrawFourierApprox(coeffsX, coeffsY, open ? Math.PI : 2 * Math.PI);
+}
+
+function handleFourierCompute() {
+  // imported curves may be short polylines; they are resampled anyway
+  const current = currentFourierCurve();
+  const minPoints = current && !current.drawn ? 2 : 16;
+  if (!drawPoints || drawPoints.length < minPoints) {
+    showStatus("Draw a curve in the canvas first (at least ~16 points).", "error");
+    return;
+  }
 
-  document.getElementById("fourier-x-output").value = eqX;
-  document.getElementById("fourier-y-output").value = eqY;
+  const K = readFourierTerms();
+  const open = document.getElementById("fourier-open").checked;
+  fourierFit = fitFourier(drawPoints, K, open);
+  const { error, circles } = fourierFit;
+
+  const termsSlider = document.getElementById("epicycle-terms");
+  termsSlider.max = circles.length;
+  termsSlider.value = circles.length;
+  renderFourierCoeffTable();
+  showFourierFit();
+  // after the approximation, which a paused epicycle view is drawn over
+  setEpicycleTerms(circles.length);
+  showStatus(
+    `Fourier approximation computed with K=${K} terms (RMS error ${formatNumber(error)}).`,
+    "ok"
+  );
+}
 
-  redrawFourierApprox(coeffsX, coeffsY);
-  showStatus(`Fourier approximation computed with K=${K} terms.`, "ok");
+// drop the fit (the curves stay)
+function resetFourierFit() {
+  fourierFit = null;
+  setEpicyclePlaying(false);
+  document.getElementById("epicycle-readout").textContent = "";
+  document.getElementById("fourier-x-output").value = "";
+  document.getElementById("fourier-y-output").value = "";
+  document.getElementById("fourier-error").textContent = "";
+  renderFourierCoeffTable();
 }
 
 function handleFourierClear() {
   drawPoints = [];
+  fourierCurves = [];
+  svgPaths = [];
+  renderFourierCurveList();
+  resetFourierFit();
   clearDrawCanvas();
-  document.getElementById("fourier-x-output").value = "";
-  document.getElementById("fourier-y-output").value = "";
   showStatus("Drawing cleared.", "ok");
 }
 
+// --- Strokes ---
+
+function currentFourierCurve() {
+  return fourierCurves.find((curve) => curve.points === drawPoints) || null;
+}
+
+// keep a finished stroke as a curve of its own and make it the current one
+function addFourierStroke(points) {
+  const strokes = fourierCurves.filter((curve) => curve.drawn).length;
+  fourierCurves.push({
+    name: `Stroke ${strokes + 1}`,
+    points,
+    open: document.getElementById("fourier-open").checked,
+    drawn: true,
+  });
+  renderFourierCurveList();
+  drawFourierCurves();
+}
+
+function undoFourierStroke() {
+  const index = fourierCurves.map((curve) => curve.drawn).lastIndexOf(true);
+  if (index < 0) {
+    showStatus("No stroke to undo.", "error");
+    return;
+  }
+  const [removed] = fourierCurves.splice(index, 1);
+  if (removed.points === drawPoints) {
+    const last = fourierCurves[fourierCurves.length - 1];
+    drawPoints = last ? last.points : [];
+  }
+  if (fourierFit && fourierFit.points === removed.points) resetFourierFit();
+
+  renderFourierCurveList();
+  if (fourierFit && fourierFit.points === drawPoints) showFourierFit();
+  else drawFourierCurves();
+  showStatus(`${removed.name} removed.`, "ok");
+}
+
+// fill the curve picker; it is shown once there is a curve
+function renderFourierCurveList() {
+  const select = document.getElementById("fourier-curve");
+  select.innerHTML = "";
+  fourierCurves.forEach((curve, i) => {
+    select.appendChild(selectOption(`${curve.name}, ${curve.points.length} points`, i));
+  });
+  const current = fourierCurves.findIndex((curve) => curve.points === drawPoints);
+  if (current >= 0) select.value = String(current);
+  document.getElementById("fourier-curve-options").hidden = !fourierCurves.length;
+  document.getElementById("fourier-svg-path-field").hidden = !svgPaths.length;
+}
+
+// --- Coefficient table ---
+
+// amplitude change per pixel when dragging an amplitude sideways
+const AMPLITUDE_DRAG_STEP = 0.002;
+
+// a_k cos(ku) + b_k sin(ku) = A cos(ku − φ); for k = 0 the amplitude is
+// the offset a0 / 2
+function getHarmonic(coeffs, k) {
+  if (k === 0) return { amplitude: coeffs.a0 / 2, phase: 0 };
+  return {
+    amplitude: Math.hypot(coeffs.a[k], coeffs.b[k]),
+    phase: Math.atan2(coeffs.b[k], coeffs.a[k]),
+  };
+}
+
+// kept apart from the coefficients, so that a harmonic zeroed and brought
+// back keeps its phase
+function harmonicList(coeffs) {
+  return Array.from({ length: coeffs.K + 1 }, (_, k) => getHarmonic(coeffs, k));
+}
+
+function setHarmonic(coeffs, k, { amplitude, phase }) {
+  if (k === 0) {
+    coeffs.a0 = 2 * amplitude;
+    return;
+  }
+  coeffs.a[k] = amplitude * Math.cos(phase);
+  coeffs.b[k] = amplitude * Math.sin(phase);
+}
+
+// after an edit: equations, error, epicycles and the drawing follow
+function applyFourierEdit() {
+  const { samples, coeffsX, coeffsY } = fourierFit;
+  Object.assign(fourierFit, {
+    eqX: buildFourierEquation(coeffsX, "u"),
+    eqY: buildFourierEquation(coeffsY, "u"),
+    error: fourierRmsError(samples.xs, samples.ys, coeffsX, coeffsY, samples.count),
+    ...epicycleCircles(coeffsX, coeffsY),
+  });
+  showFourierFit();
+  setEpicycleTerms(epicycleState.terms);
+}
+
+// number input bound to the amplitude (or phase, in degrees) of
+// harmonic k; amplitudes can also be dragged sideways
+function coeffInput(coeffs, harmonics, k, key) {
+  const input = document.createElement("input");
+  input.type = "number";
+  const value = harmonics[k][key];
+  input.step = key === "phase" ? "1" : "0.001";
+  input.value = key === "phase" ? Math.round((value * 180) / Math.PI) || 0 : value.toFixed(4);
+
+  const update = () => {
+    const v = parseFloat(input.value);
+    if (!Number.isFinite(v)) return;
+    const harmonic = harmonics[k];
+    harmonic[key] = key === "phase" ? (v * Math.PI) / 180 : v;
+    setHarmonic(coeffs, k, harmonic);
+    applyFourierEdit();
+  };
+  input.addEventListener("input", update);
+
+  if (key === "amplitude") {
+    input.className = "coeff-amplitude";
+    input.addEventListener("pointerdown", (e) => {
+      const startX = e.clientX;
+      const start = parseFloat(input.value) || 0;
+      let dragging = false;
+      const move = (ev) => {
+        const dx = ev.clientX - startX;
+        if (!dragging && Math.abs(dx) < 4) return;
+        dragging = true;
+        ev.preventDefault();
+        input.value = (start + dx * AMPLITUDE_DRAG_STEP).toFixed(4);
+        update();
+      };
+      const up = () => {
+        window.removeEventListener("pointermove", move);
+        window.removeEventListener("pointerup", up);
+      };
+      window.addEventListener("pointermove", move);
+      window.addEventListener("pointerup", up);
+    });
+  }
+  return input;
+}
+
+// one row per harmonic with the amplitude and phase of x and y; row 0
+// holds the constant offsets
+function renderFourierCoeffTable() {
+  const body = document.getElementById("fourier-coeffs-body");
+  body.innerHTML = "";
+  document.getElementById("fourier-coeffs").hidden = !fourierFit;
+  if (!fourierFit) return;
+
+  const { coeffsX, coeffsY, harmonics } = fourierFit;
+  const columns = [
+    [coeffsX, harmonics.x],
+    [coeffsY, harmonics.y],
+  ];
+  for (let k = 0; k <= coeffsX.K; k++) {
+    const row = document.createElement("tr");
+    const cell = (child) => {
+      const td = document.createElement("td");
+      if (child) td.appendChild(child);
+      row.appendChild(td);
+    };
+
+    const label = document.createElement("span");
+    label.textContent = k;
+    cell(label);
+    columns.forEach(([coeffs, list]) => {
+      cell(coeffInput(coeffs, list, k, "amplitude"));
+      cell(k ? coeffInput(coeffs, list, k, "phase") : null);
+    });
+
+    const zero = document.createElement("button");
+    zero.type = "button";
+    zero.className = "coeff-zero";
+    zero.title = k ? `Zero harmonic ${k}` : "Zero the offsets";
+    zero.textContent = "✕";
+    zero.addEventListener("click", () => {
+      columns.forEach(([coeffs, list]) => {
+        list[k].amplitude = 0;
+        setHarmonic(coeffs, k, list[k]);
+      });
+      renderFourierCoeffTable();
+      applyFourierEdit();
+    });
+    cell(zero);
+
+    body.appendChild(row);
+  }
+}
+
+// --- Importing curves ---
+
+function selectOption(label, index) {
+  const option = document.createElement("option");
+  option.value = String(index);
+  option.textContent = label;
+  return option;
+}
+
+// Add imported curves next to the drawn strokes, replacing the curves
+// imported before from the same `source` (a file name). `curves` are
+// { points, closed } in file units; all of them are scaled together to fit
+// the canvas, keeping their layout. SVG and image units point down, point
+// lists up (yDown = false).
+function setFourierCurves(curves, yDown, source) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  curves.forEach(({ points }) => {
+    points.forEach(({ x, y }) => {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    });
+  });
+  const w = drawCanvas.width;
+  const h = drawCanvas.height;
+  const scale = 0.9 * Math.min(w / (maxX - minX || 1), h / (maxY - minY || 1));
+  const mx = (minX + maxX) / 2;
+  const my = (minY + maxY) / 2;
+
+  const kept = fourierCurves.filter((curve) => curve.source !== source);
+  const imported = curves.map((curve, i) => ({
+    name: `${source}, curve ${i + 1}${curve.closed ? " (closed)" : ""}`,
+    points: curve.points.map(({ x, y }) => ({
+      x: w / 2 + (x - mx) * scale,
+      y: h / 2 + (yDown ? y - my : my - y) * scale,
+    })),
+    open: !curve.closed,
+    drawn: false,
+    source,
+  }));
+  fourierCurves = [...kept, ...imported];
+
+  renderFourierCurveList();
+  if (imported.length) selectFourierCurve(kept.length);
+}
+
+// make an imported curve the current stroke and fit it
+function selectFourierCurve(index) {
+  const curve = fourierCurves[index];
+  if (!curve) return;
+  document.getElementById("fourier-curve").value = String(index);
+  document.getElementById("fourier-open").checked = curve.open;
+  drawPoints = curve.points;
+  handleFourierCompute();
+}
+
+// make the curves of an SVG <path> the imported curves
+function selectSvgPath(index) {
+  const path = svgPaths[index];
+  if (!path) return;
+  const curves = samplePathData(path.d);
+  if (!curves.length) throw new Error(`${path.label} has no drawable segments.`);
+  setFourierCurves(transformCurves(curves, path.matrix), true, path.source);
+}
+
+// the transform attributes of an SVG element and its ancestors as one matrix
+function svgElementMatrix(el) {
+  const lists = [];
+  for (let node = el; node; node = node.parentElement) {
+    const transform = node.getAttribute("transform");
+    if (transform) lists.unshift(transform);
+  }
+  return parseTransform(lists.join(" "));
+}
+
+// longest side an image is scaled to before its shapes are traced
+const TRACE_SIZE = 256;
+
+// trace the outlines of the shapes in a bitmap image as closed curves
+function importFourierImage(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const image = new Image();
+    image.onload = () => {
+      try {
+        const scale = Math.min(1, TRACE_SIZE / Math.max(image.width, image.height));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        const curves = traceImageOutlines(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        if (!curves.length) {
+          throw new Error("no shapes found; use dark shapes on a light background");
+        }
+        svgPaths = [];
+        setFourierCurves(curves, true, file.name);
+        showStatus(
+          `Traced ${curves.length} outline${curves.length === 1 ? "" : "s"} in ${file.name}.`,
+          "ok"
+        );
+      } catch (err) {
+        showStatus(`Could not import ${file.name}: ${err.message}`, "error");
+      }
+    };
+    image.onerror = () => showStatus(`Could not read "${file.name}" as an image.`, "error");
+    image.src = e.target.result;
+  };
+  reader.readAsDataURL(file);
+}
+
+function handleFourierImport(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+  if (file.type.startsWith("image/") && file.type !== "image/svg+xml") {
+    importFourierImage(file);
+    event.target.value = "";
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const text = e.target.result;
+      const name = file.name.toLowerCase();
+      svgPaths = [];
+
+      if (name.endsWith(".svg") || text.trimStart().startsWith("<")) {
+        const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+        if (doc.getElementsByTagName("parsererror").length) {
+          throw new Error("not a valid SVG document");
+        }
+        svgPaths = [...doc.getElementsByTagName("path")]
+          .filter((el) => el.getAttribute("d"))
+          .map((el, i) => ({
+            label: el.id ? `#${el.id}` : `Path ${i + 1}`,
+            d: el.getAttribute("d"),
+            matrix: svgElementMatrix(el),
+            source: file.name,
+          }));
+        if (!svgPaths.length) throw new Error("the SVG contains no <path> elements");
+
+        const select = document.getElementById("fourier-svg-path");
+        select.innerHTML = "";
+        svgPaths.forEach((path, i) => select.appendChild(selectOption(path.label, i)));
+        selectSvgPath(0);
+      } else {
+        const curves = name.endsWith(".json")
+          ? parsePointsJson(JSON.parse(text))
+          : parsePointsCsv(text);
+        if (!curves.length) throw new Error("no curves with at least two points found");
+        setFourierCurves(curves, false, file.name);
+      }
+
+      renderFourierCurveList();
+      const count = fourierCurves.filter((curve) => curve.source === file.name).length;
+      showStatus(
+        `Imported ${count} curve${count === 1 ? "" : "s"} from ${file.name}.`,
+        "ok"
+      );
+    } catch (err) {
+      showStatus(`Could not import ${file.name}: ${err.message}`, "error");
+    } finally {
+      event.target.value = "";
+    }
+  };
+  reader.readAsText(file);
+}
+
+// fit every curve (keeping the edits of the current fit) and add each as a
+// new curve layer
+async function sendAllFourierCurves() {
+  if (!fourierCurves.length) return;
+  const K = readFourierTerms();
+  syncEditorToLayer();
+
+  const added = fourierCurves.map((curve) => {
+    const fit =
+      fourierFit && fourierFit.points === curve.points
+        ? fourierFit
+        : fitFourier(curve.points, K, curve.open);
+    return createLayer({
+      name: curve.name,
+      mode: "curve",
+      x: fit.eqX,
+      y: fit.eqY,
+      z: "0",
+      uMin: "0",
+      uMax: fit.open ? "pi" : "2 * pi",
+      uSteps: 400,
+      tubeRadius: 0.02,
+    });
+  });
+  layers.push(...added);
+  selectedLayerId = added[0].id;
+  writeLayerToUI(added[0]);
+  renderLayerList();
+
+  if (await rebuildAllLayers({ reframe: true })) {
+    showStatus(`${added.length} curves sent to the visualizer as new layers.`, "ok");
+  }
+}
+
+// --- Epicycles ---
+
+// the approximation drawn by rotating circles, one per term, tip to tip
+function drawEpicycles() {
+  if (!fourierFit || !drawCtx) return;
+  const { coeffsX, coeffsY, open, center, circles } = fourierFit;
+  redrawFourierApprox(coeffsX, coeffsY, open ? Math.PI : 2 * Math.PI);
+
+  const cx = drawCanvas.width / 2;
+  const cy = drawCanvas.height / 2;
+  const scale = Math.min(drawCanvas.width, drawCanvas.height) / 2;
+  const toCanvas = (x, y) => [cx + x * scale, cy - y * scale];
+
+  const count = Math.min(epicycleState.terms, circles.length);
+  let x = center.re;
+  let y = center.im;
+  drawCtx.save();
+  for (let i = 0; i < count; i++) {
+    const { k, radius, phase } = circles[i];
+    const angle = k * epicycleState.t + phase;
+    const nx = x + radius * Math.cos(angle);
+    const ny = y + radius * Math.sin(angle);
+
+    // the circle of the last term added is highlighted
+    const highlight = i === count - 1;
+    drawCtx.strokeStyle = highlight ? "#facc15" : "rgba(148,163,184,0.45)";
+    drawCtx.lineWidth = highlight ? 2 : 1;
+    drawCtx.beginPath();
+    drawCtx.arc(...toCanvas(x, y), radius * scale, 0, 2 * Math.PI);
+    drawCtx.moveTo(...toCanvas(x, y));
+    drawCtx.lineTo(...toCanvas(nx, ny));
+    drawCtx.stroke();
+    x = nx;
+    y = ny;
+  }
+
+  const trace = epicycleState.trace;
+  trace.push([x, y]);
+  drawCtx.strokeStyle = "#f472b6";
+  drawCtx.lineWidth = 2;
+  drawCtx.beginPath();
+  trace.forEach((p, i) => {
+    if (i === 0) drawCtx.moveTo(...toCanvas(...p));
+    else drawCtx.lineTo(...toCanvas(...p));
+  });
+  drawCtx.stroke();
+  drawCtx.restore();
+}
+
+function advanceEpicycles(now) {
+  const last = epicycleState.lastFrame;
+  epicycleState.lastFrame = now;
+  if (!epicycleState.playing || last == null || now == null) return;
+
+  const dt = Math.min(0.1, (now - last) / 1000);
+  let t = epicycleState.t + dt * epicycleState.speed * 2 * Math.PI;
+  if (t >= 2 * Math.PI) {
+    t -= 2 * Math.PI;
+    epicycleState.trace = [];
+  }
+  epicycleState.t = t;
+  drawEpicycles();
+}
+
+function setEpicyclePlaying(playing) {
+  epicycleState.playing = playing;
+  document.getElementById("epicycle-play").textContent = playing
+    ? "Pause epicycles"
+    : "Play epicycles";
+}
+
+// draw the `count` largest circles and describe the highlighted one
+function setEpicycleTerms(count) {
+  epicycleState.terms = count;
+  epicycleState.trace = [];
+
+  const readout = document.getElementById("epicycle-readout");
+  const circle = fourierFit && fourierFit.circles[count - 1];
+  if (!circle) {
+    readout.textContent = "";
+    return;
+  }
+  const degrees = Math.round((circle.phase * 180) / Math.PI) || 0; // no "-0"
+  readout.textContent =
+    `${count} circle${count === 1 ? "" : "s"} — highlighted: k = ${circle.k}, ` +
+    `radius ${formatNumber(circle.radius)}, phase ${degrees}°`;
+  if (!epicycleState.playing) drawEpicycles();
+}
+
+function toggleEpicycles() {
+  if (!fourierFit) {
+    showStatus("Compute a Fourier approximation first.", "error");
+    return;
+  }
+  setEpicyclePlaying(!epicycleState.playing);
+}
+
+// --- Surfaces from curves ---
+
+// show the builder fields of the chosen construction ([data-builders]
+// lists the constructions an element belongs to)
+function updateBuilderControls() {
+  const kind = document.getElementById("builder-kind").value;
+  document.querySelectorAll("[data-builders]").forEach((el) => {
+    el.hidden = !el.dataset.builders.split(" ").includes(kind);
+  });
+  const second = BUILDERS[kind].second;
+  document.querySelectorAll(".builder-second").forEach((el) => {
+    el.textContent = second || "";
+  });
+}
+
+// copy the current Fourier fit into the profile or the second curve
+function builderCurveFromFourier(target) {
+  if (!fourierFit) {
+    showStatus("Compute a Fourier approximation first.", "error");
+    return;
+  }
+  document.getElementById(`builder-${target}-x`).value = fourierFit.eqX;
+  document.getElementById(`builder-${target}-y`).value = fourierFit.eqY;
+  // a loft's end profile shares the u range of the first one
+  const uMin = document.getElementById(`builder-${target}-u-min`);
+  const uMax = document.getElementById(`builder-${target}-u-max`);
+  if (uMin && uMax) {
+    uMin.value = "0";
+    uMax.value = fourierFit.open ? "pi" : "2 * pi";
+  }
+  const kind = document.getElementById("builder-kind").value;
+  const name = target === "profile" ? "profile" : BUILDERS[kind].second.toLowerCase();
+  showStatus(`Fourier curve copied into the ${name}.`, "ok");
+}
+
+async function handleBuilderApply() {
+  const layer = selectedLayer();
+  if (!layer) return;
+  const text = (id) => document.getElementById(id).value.trim();
+  const number = (id) => parseFloat(document.getElementById(id).value);
+  const kind = text("builder-kind");
+
+  let fields;
+  try {
+    const twist = number("builder-twist");
+    const scale = number("builder-scale");
+    const height = number("builder-height");
+    if (!Number.isFinite(twist)) throw new Error("Twist must be a number.");
+    if (!(scale > 0)) throw new Error("End scale must be a positive number.");
+    if (!Number.isFinite(height)) throw new Error("Loft height must be a number.");
+
+    fields = builderFields(
+      {
+        kind,
+        profile: {
+          x: text("builder-profile-x"),
+          y: text("builder-profile-y"),
+          uMin: text("builder-profile-u-min"),
+          uMax: text("builder-profile-u-max"),
+        },
+        second: {
+          x: text("builder-second-x"),
+          y: text("builder-second-y"),
+          z: text("builder-second-z"),
+          uMin: text("builder-second-u-min"),
+          uMax: text("builder-second-u-max"),
+        },
+        axis: text("builder-axis"),
+        angle: text("builder-angle"),
+        twist,
+        scale,
+        height,
+      },
+      { t: timeState.t, ...getParamScope() }
+    );
+  } catch (err) {
+    showStatus(`Surface builder: ${err.message}`, "error");
+    return;
+  }
+
+  syncEditorToLayer();
+  Object.assign(layer.spec, {
+    mode: "parametric",
+    ...fields,
+    // a long path needs more samples along v
+    uSteps: Math.max(layer.spec.uSteps, 60),
+    vSteps: Math.max(layer.spec.vSteps, kind === "sweep" ? 160 : 60),
+  });
+  writeLayerToUI(layer);
+
+  if (await buildSurface()) {
+    showStatus(`${BUILDERS[kind].label}: built into ${layer.spec.name}.`, "ok");
+  }
+}
+
 // --- UI wiring ---
 
 function setupUI() {
@@ -791,9 +4848,102 @@ function setupUI() {
 
   document
     .getElementById("wireframe-toggle")
-    .addEventListener("change", () => {
-      if (currentMesh) buildSurface();
+    .addEventListener("change", (e) => {
+      const layer = selectedLayer();
+      if (!layer) return;
+      layer.spec.wireframe = e.target.checked;
+      if (layer.mesh) layer.mesh.material.wireframe = e.target.checked;
+    });
+
+  document.getElementById("layer-color").addEventListener("input", (e) => {
+    const layer = selectedLayer();
+    if (!layer) return;
+    layer.spec.color = e.target.value;
+    if (layer.mesh && !layer.mesh.material.vertexColors) {
+      layer.mesh.material.color.set(e.target.value);
+    }
+    renderLayerList();
+  });
+
+  document.getElementById("layer-name").addEventListener("input", (e) => {
+    const layer = selectedLayer();
+    if (!layer) return;
+    layer.spec.name = e.target.value.trim() || "Untitled";
+    renderLayerList();
+  });
+
+  // grid lines are traced with the mesh; textures only change the material
+  ["iso-lines", "iso-u-spacing", "iso-v-spacing"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      buildSurface({ reframe: false });
+    });
+  });
+  ["texture-mode", "texture-repeat"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", handleTextureChange);
+  });
+  document
+    .getElementById("texture-image")
+    .addEventListener("change", handleTextureUpload);
+
+  // invalid samples: re-plot the selected layer with the new settings
+  ["invalid-mode", "clamp-values", "clamp-min", "clamp-max", "outline-holes"]
+    .forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        updateInvalidControls();
+        buildSurface({ reframe: false });
+      });
+    });
+
+  ["mesh-mode", "mesh-tolerance", "mesh-budget"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      updateMeshControls();
+      buildSurface({ reframe: false });
+    });
+  });
+
+  // space curves
+  document.getElementById("layer-mode").addEventListener("change", () => {
+    updateModeControls();
+    syncEditorToLayer();
+  });
+  ["curve-style", "tube-radius", "curve-frame", "show-frame"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      buildSurface({ reframe: false });
+    });
+  });
+  document.getElementById("frame-point").addEventListener("input", (e) => {
+    const layer = selectedLayer();
+    if (layer) setFramePoint(layer, Number(e.target.value));
+  });
+
+  // color mapping
+  ["color-mode", "color-map", "color-range-auto", "color-min", "color-max"]
+    .forEach((id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", handleColorSettingsChange);
     });
+  document.getElementById("color-expr").addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleColorSettingsChange();
+    }
+  });
+  document
+    .getElementById("color-expr")
+    .addEventListener("change", handleColorSettingsChange);
+
+  // layer list
+  document.getElementById("layer-add").addEventListener("click", addLayer);
+  document
+    .getElementById("layer-duplicate")
+    .addEventListener("click", duplicateLayer);
+  document
+    .getElementById("layer-delete")
+    .addEventListener("click", deleteLayer);
+
+  const addParamBtn = document.getElementById("add-param-button");
+  if (addParamBtn) addParamBtn.addEventListener("click", addParam);
 
   // save / load preset
   const saveBtn = document.getElementById("save-preset-button");
@@ -802,6 +4952,11 @@ function setupUI() {
   const loadInput = document.getElementById("load-preset-input");
   if (loadInput) loadInput.addEventListener("change", handleLoadPreset);
 
+  document.getElementById("copy-link-button").addEventListener("click", handleCopyLink);
+
+  const exportBtn = document.getElementById("export-button");
+  if (exportBtn) exportBtn.addEventListener("click", handleExportMesh);
+
   // Fourier buttons
   const fourierComputeBtn = document.getElementById("fourier-compute");
   if (fourierComputeBtn)
@@ -811,9 +4966,42 @@ function setupUI() {
   if (fourierClearBtn)
     fourierClearBtn.addEventListener("click", handleFourierClear);
 
+  document
+    .getElementById("fourier-undo")
+    .addEventListener("click", undoFourierStroke);
+
+  document
+    .getElementById("fourier-import")
+    .addEventListener("change", handleFourierImport);
+  document.getElementById("fourier-svg-path").addEventListener("change", (e) => {
+    try {
+      selectSvgPath(Number(e.target.value));
+    } catch (err) {
+      showStatus(err.message, "error");
+    }
+  });
+  document.getElementById("fourier-curve").addEventListener("change", (e) => {
+    selectFourierCurve(Number(e.target.value));
+  });
+  document.getElementById("fourier-open").addEventListener("change", (e) => {
+    const curve = currentFourierCurve();
+    if (curve) curve.open = e.target.checked;
+  });
+  document
+    .getElementById("fourier-send-all")
+    .addEventListener("click", sendAllFourierCurves);
+
+  document.getElementById("epicycle-play").addEventListener("click", toggleEpicycles);
+  document.getElementById("epicycle-speed").addEventListener("input", (e) => {
+    epicycleState.speed = Number(e.target.value);
+  });
+  document.getElementById("epicycle-terms").addEventListener("input", (e) => {
+    setEpicycleTerms(parseInt(e.target.value, 10));
+  });
+
   const fourierToVisBtn = document.getElementById("fourier-to-visualizer");
   if (fourierToVisBtn)
-    fourierToVisBtn.addEventListener("click", () => {
+    fourierToVisBtn.addEventListener("click", async () => {
       const eqX = document
         .getElementById("fourier-x-output")
         .value.trim();
@@ -825,38 +5013,73 @@ function setupUI() {
         return;
       }
 
-      document.getElementById("expr-x").value = eqX;
-      document.getElementById("expr-y").value = eqY;
-      document.getElementById("expr-z").value = "0.1 * v";
-
-      document.getElementById("u-min").value = "0";
-      document.getElementById("u-max").value = "2 * pi";
-      document.getElementById("v-min").value = "-1";
-      document.getElementById("v-max").value = "1";
+      const layer = selectedLayer();
+      if (!layer) return;
+      syncEditorToLayer();
+      Object.assign(layer.spec, {
+        mode: "curve",
+        x: eqX,
+        y: eqY,
+        z: "0",
+        uMin: "0",
+        uMax: fourierFit && fourierFit.open ? "pi" : "2 * pi",
+        uSteps: Math.max(layer.spec.uSteps, 400),
+      });
+      writeLayerToUI(layer);
 
-      buildSurface();
-      showStatus("Fourier curve sent to visualizer (as a thin ribbon).", "ok");
+      if (await buildSurface()) {
+        showStatus("Fourier curve sent to the visualizer as a space curve.", "ok");
+      }
     });
 
+  document
+    .getElementById("builder-kind")
+    .addEventListener("change", updateBuilderControls);
+  document
+    .getElementById("builder-profile-fourier")
+    .addEventListener("click", () => builderCurveFromFourier("profile"));
+  document
+    .getElementById("builder-second-fourier")
+    .addEventListener("click", () => builderCurveFromFourier("second"));
+  document.getElementById("builder-apply").addEventListener("click", handleBuilderApply);
+  updateBuilderControls();
+
   // Enter in core fields triggers plot
-  ["expr-x", "expr-y", "expr-z", "u-min", "u-max", "v-min", "v-max"].forEach(
-    (id) => {
-      const el = document.getElementById(id);
-      el.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" && !e.shiftKey) {
-          e.preventDefault();
-          buildSurface();
-        }
-      });
-    }
-  );
+  [
+    "expr-x", "expr-y", "expr-z", "u-min", "u-max", "v-min", "v-max",
+    "expr-f", "x-min", "x-max", "y-min", "y-max", "z-min", "z-max",
+  ].forEach((id) => {
+    const el = document.getElementById(id);
+    el.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        buildSurface();
+      }
+    });
+  });
 }
 
 // --- Init ---
 
-window.addEventListener("DOMContentLoaded", () => {
+window.addEventListener("DOMContentLoaded", async () => {
   initThree();
   setupUI();
+  setupTimeControls();
+  setupAnalysisPanel();
+  setupCurveDragging();
+  setupPicking();
   setupFourierDrawing();
-  applyExample("sphere");
+  setupLibrary();
+  setupHistory();
+
+  const first = createLayer();
+  layers.push(first);
+  selectedLayerId = first.id;
+  // a link that could not be restored keeps its report on screen
+  if (!(await restoreFromHash())) {
+    applyExample("sphere", { quiet: hasState(location.hash) });
+  }
+
+  // a pasted link in an open tab only changes the hash
+  window.addEventListener("hashchange", restoreFromHash);
 });
@@ -0,0 +1,434 @@
+// mesher.js — builds the mesh data of a parametric surface: compiles the
+// x/y/z expressions, tessellates the (u, v) domain, samples positions,
+// drops triangles at invalid samples and computes normals. Implicit
+// surfaces F(x, y, z) = 0 are sampled on a box grid and contoured instead.
+// It has no DOM or three.js dependencies, so it runs both in the mesh
+// worker (surface-worker.js) and on the main thread.
+
+import { collectIdentifiers, compileAst, parseExpression } from "./expr.js";
+import { cross, dot, partialDerivative } from "./diffgeo.js";
+import { adaptiveTessellation, gridTessellation } from "./tessellate.js";
+import { marchingCubes } from "./implicit.js";
+
+// report sampling progress every this many vertices
+const PROGRESS_VERTICES = 65536;
+
+// compile a field, prefixing parse errors with the field's label;
+// fn.identifiers lists the names the expression refers to, fn.ast is kept
+// for symbolic differentiation
+function compileField(label, src, variables) {
+  try {
+    const ast = parseExpression(src);
+    const fn = compileAst(ast, variables);
+    fn.ast = ast;
+    fn.identifiers = collectIdentifiers(ast);
+    return fn;
+  } catch (e) {
+    e.message = `${label}: ${e.message}`;
+    throw e;
+  }
+}
+
+// --- Sampling ---
+
+// r(u, v) of a surface at its current parameter/time values
+function surfacePointEvaluator(surface) {
+  const scope = { ...surface.scope };
+  return (u, v, out) => {
+    scope.u = u;
+    scope.v = v;
+    out[0] = surface.fx(scope);
+    out[1] = surface.fy(scope);
+    out[2] = surface.fz(scope);
+    return out;
+  };
+}
+
+// Evaluate r(u, v) at every vertex into `positions`, clamping to
+// surface.clamp if set. A NaN/±Infinity sample is an error unless the
+// surface skips invalid samples: then it is flagged in surface.valid and
+// placed at the origin. surface.validChanged tells whether the flags differ
+// from the previous call. `onProgress(fraction)` is called now and then.
+// Returns an error message or null.
+function sampleSurface(surface, positions, onProgress = null) {
+  const { fx, fy, fz, scope, coords, valid, clamp } = surface;
+  const limit = (value) =>
+    clamp ? Math.min(clamp.max, Math.max(clamp.min, value)) : value;
+
+  let invalid = 0;
+  let changed = false;
+  let pIndex = 0;
+  for (let k = 0; k < coords.length; k += 2) {
+    if (onProgress && k % (2 * PROGRESS_VERTICES) === 0) onProgress(k / coords.length);
+    const u = coords[k];
+    const v = coords[k + 1];
+    scope.u = u;
+    scope.v = v;
+    let x, y, z;
+    try {
+      x = fx(scope);
+      y = fy(scope);
+      z = fz(scope);
+    } catch (e) {
+      return `Error evaluating at (u, v) = (${u.toFixed(3)}, ${v.toFixed(
+        3
+      )}): ${e.message}`;
+    }
+    x = limit(x);
+    y = limit(y);
+    z = limit(z);
+
+    const ok = isFinite(x) && isFinite(y) && isFinite(z);
+    if (!ok) {
+      if (!surface.skipInvalid) {
+        return `Non-finite value at (u, v) = (${u.toFixed(3)}, ${v.toFixed(
+          3
+        )}).`;
+      }
+      invalid++;
+      x = y = z = 0;
+    }
+    if (valid[k / 2] !== (ok ? 1 : 0)) {
+      valid[k / 2] = ok ? 1 : 0;
+      changed = true;
+    }
+
+    positions[pIndex++] = x;
+    positions[pIndex++] = y;
+    positions[pIndex++] = z;
+  }
+
+  surface.invalidCount = invalid;
+  surface.validChanged = changed;
+  if (invalid === coords.length / 2) {
+    return "Every sample is NaN or infinite; check the expressions and bounds.";
+  }
+  return null;
+}
+
+// the multiples of `step` within [lo, hi]
+function multiplesIn(lo, hi, step) {
+  const values = [];
+  const last = Math.floor(hi / step + 1e-9);
+  for (let k = Math.ceil(lo / step - 1e-9); k <= last; k++) values.push(k * step);
+  return values;
+}
+
+// Isoparametric lines of a surface: u = const at the multiples of uSpacing
+// and v = const at the multiples of vSpacing, each traced with `samples`
+// segments from r(u, v) itself rather than the mesh. Invalid samples break
+// a line; values are clamped like the mesh. Returns the segment end points
+// as a Float32Array of x, y, z pairs.
+function isoLines(surface, { uSpacing, vSpacing, samples }) {
+  const { fx, fy, fz, uMin, uMax, vMin, vMax, clamp } = surface;
+  const scope = { ...surface.scope };
+  const limit = (value) =>
+    clamp ? Math.min(clamp.max, Math.max(clamp.min, value)) : value;
+  const out = [];
+
+  const trace = (fixed, value, along, lo, hi) => {
+    scope[fixed] = value;
+    let previous = null;
+    for (let i = 0; i <= samples; i++) {
+      scope[along] = lo + ((hi - lo) * i) / samples;
+      let point = null;
+      try {
+        point = [limit(fx(scope)), limit(fy(scope)), limit(fz(scope))];
+      } catch (e) {
+        // an evaluation error breaks the line like a NaN does
+      }
+      if (point && !point.every(isFinite)) point = null;
+      if (point && previous) out.push(...previous, ...point);
+      previous = point;
+    }
+  };
+
+  multiplesIn(uMin, uMax, uSpacing).forEach((u) => trace("u", u, "v", vMin, vMax));
+  multiplesIn(vMin, vMax, vSpacing).forEach((v) => trace("v", v, "u", uMin, uMax));
+  return Float32Array.from(out);
+}
+
+// --- Triangles ---
+
+// the surface's triangles minus those that touch an invalid sample, as a
+// Uint32Array. When the surface outlines its holes, surface.holeEdges
+// receives the vertex pairs of the edges between kept and dropped triangles.
+function surfaceTriangles(surface) {
+  const { triangles, valid } = surface;
+  const indices = [];
+  const dropped = [];
+
+  for (let k = 0; k < triangles.length; k += 3) {
+    const a = triangles[k];
+    const b = triangles[k + 1];
+    const c = triangles[k + 2];
+    if (valid[a] && valid[b] && valid[c]) indices.push(a, b, c);
+    else dropped.push(a, b, c);
+  }
+
+  surface.holeEdges = [];
+  if (surface.outlineHoles && dropped.length) {
+    const edgeKey = (a, b) => (a < b ? `${a}_${b}` : `${b}_${a}`);
+    const kept = new Set();
+    for (let k = 0; k < indices.length; k += 3) {
+      const [a, b, c] = [indices[k], indices[k + 1], indices[k + 2]];
+      kept.add(edgeKey(a, b)).add(edgeKey(b, c)).add(edgeKey(c, a));
+    }
+    for (let k = 0; k < dropped.length; k += 3) {
+      const tri = [dropped[k], dropped[k + 1], dropped[k + 2]];
+      for (let e = 0; e < 3; e++) {
+        const a = tri[e];
+        const b = tri[(e + 1) % 3];
+        const key = edgeKey(a, b);
+        if (!kept.has(key)) continue;
+        kept.delete(key);
+        surface.holeEdges.push(a, b);
+      }
+    }
+  }
+  return Uint32Array.from(indices);
+}
+
+// area-weighted average of the face normals at each vertex
+function averageNormals(positions, indices, normals) {
+  normals.fill(0);
+  const p = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+  for (let k = 0; k < indices.length; k += 3) {
+    const a = indices[k];
+    const b = indices[k + 1];
+    const c = indices[k + 2];
+    const pa = p(a);
+    const pb = p(b);
+    const pc = p(c);
+    const n = cross(
+      [pb[0] - pa[0], pb[1] - pa[1], pb[2] - pa[2]],
+      [pc[0] - pa[0], pc[1] - pa[1], pc[2] - pa[2]]
+    );
+    for (const i of [a, b, c]) {
+      normals[i * 3] += n[0];
+      normals[i * 3 + 1] += n[1];
+      normals[i * 3 + 2] += n[2];
+    }
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+    if (len > 0) {
+      normals[i] /= len;
+      normals[i + 1] /= len;
+      normals[i + 2] /= len;
+    }
+  }
+}
+
+// --- Tangent vectors and normals ---
+
+// step for the central-difference fallback, relative to the domain size
+function derivativeSteps(surface) {
+  return {
+    hu: (surface.uMax - surface.uMin) * 1e-4,
+    hv: (surface.vMax - surface.vMin) * 1e-4,
+  };
+}
+
+// r_u and r_v as compiled fields, [x, y, z] each
+function addTangentFields(surface) {
+  const { hu, hv } = derivativeSteps(surface);
+  const fields = [surface.fx, surface.fy, surface.fz];
+  surface.du = fields.map((f) => partialDerivative(f, "u", hu, surface.variables));
+  surface.dv = fields.map((f) => partialDerivative(f, "v", hv, surface.variables));
+}
+
+// r_uu, r_uv and r_vv, derived from the tangent fields on first use
+function secondDerivativeFields(surface) {
+  if (!surface.duu) {
+    const { hu, hv } = derivativeSteps(surface);
+    const d = (f, name, h) => partialDerivative(f, name, h, surface.variables);
+    surface.duu = surface.du.map((f) => d(f, "u", hu));
+    surface.duv = surface.du.map((f) => d(f, "v", hv));
+    surface.dvv = surface.dv.map((f) => d(f, "v", hv));
+  }
+  return surface;
+}
+
+// replace the averaged face normals with r_u × r_v wherever it is well
+// defined; degenerate vertices (poles, cusps) keep the averaged normal
+function applyExactNormals(surface, normals) {
+  const { coords, du, dv } = surface;
+  const scope = { ...surface.scope };
+  const ru = [0, 0, 0];
+  const rv = [0, 0, 0];
+
+  for (let i = 0; i < coords.length / 2; i++) {
+    scope.u = coords[i * 2];
+    scope.v = coords[i * 2 + 1];
+    for (let k = 0; k < 3; k++) {
+      ru[k] = du[k](scope);
+      rv[k] = dv[k](scope);
+    }
+    const n = cross(ru, rv);
+    const len = Math.sqrt(dot(n, n));
+    if (!(len > 1e-9 * Math.max(dot(ru, ru), dot(rv, rv)))) continue;
+    normals[i * 3] = n[0] / len;
+    normals[i * 3 + 1] = n[1] / len;
+    normals[i * 3 + 2] = n[2] / len;
+  }
+}
+
+// --- Whole mesh ---
+
+// Compile, tessellate and sample the surface described by `job`:
+//   { x, y, z, variables, scope, uMin, uMax, vMin, vMax, uSteps, vSteps,
+//     adaptive: { tolerance, maxTriangles } | null,
+//     skipInvalid, clamp: { min, max } | null, outlineHoles }
+// `onProgress(stage, fraction)` reports the current step. Throws on
+// invalid expressions or samples.
+function meshSurface(job, onProgress = () => {}) {
+  const { variables } = job;
+  const surface = {
+    ...job,
+    fx: compileField("x(u, v)", job.x, variables),
+    fy: compileField("y(u, v)", job.y, variables),
+    fz: compileField("z(u, v)", job.z, variables),
+    scope: { ...job.scope },
+    holeEdges: [],
+  };
+
+  onProgress("tessellating", 0);
+  const { coords, uvs, indices } = job.adaptive
+    ? adaptiveTessellation(surfacePointEvaluator(surface), job, job.adaptive)
+    : gridTessellation(job);
+  surface.coords = coords;
+  surface.triangles = indices;
+  surface.valid = new Uint8Array(coords.length / 2);
+
+  const positions = new Float32Array((coords.length / 2) * 3);
+  const sampleError = sampleSurface(surface, positions, (f) =>
+    onProgress("sampling", f)
+  );
+  if (sampleError) throw new Error(sampleError);
+
+  onProgress("normals", 0);
+  const visible = surfaceTriangles(surface);
+  const normals = new Float32Array(positions.length);
+  averageNormals(positions, visible, normals);
+  addTangentFields(surface);
+  applyExactNormals(surface, normals);
+
+  return {
+    coords,
+    uvs,
+    positions,
+    normals,
+    triangles: indices,
+    indices: visible,
+    valid: surface.valid,
+    invalidCount: surface.invalidCount,
+    holeEdges: Uint32Array.from(surface.holeEdges),
+  };
+}
+
+// --- Implicit surfaces ---
+
+// grid cells per axis: `resolution` along the longest side of the box
+function implicitGrid(box, resolution) {
+  const size = [box.xMax - box.xMin, box.yMax - box.yMin, box.zMax - box.zMin];
+  const longest = Math.max(...size);
+  const [nx, ny, nz] = size.map((s) => Math.max(2, Math.round((resolution * s) / longest)));
+  return {
+    nx,
+    ny,
+    nz,
+    min: [box.xMin, box.yMin, box.zMin],
+    step: [size[0] / nx, size[1] / ny, size[2] / nz],
+  };
+}
+
+// Sample F over the box and extract the surface F = 0:
+//   { kind: "implicit", f, variables, scope,
+//     box: { xMin, xMax, yMin, yMax, zMin, zMax }, resolution }
+// Normals follow ∇F (pointing towards F > 0) where it is defined, the
+// averaged face normals elsewhere.
+function meshImplicit(job, onProgress = () => {}) {
+  const F = compileField("F(x, y, z)", job.f, job.variables);
+  const grid = implicitGrid(job.box, job.resolution);
+  const { nx, ny, nz, min, step } = grid;
+
+  const values = new Float64Array((nx + 1) * (ny + 1) * (nz + 1));
+  const scope = { ...job.scope };
+  let invalidCount = 0;
+  let n = 0;
+  for (let k = 0; k <= nz; k++) {
+    onProgress("sampling", k / (nz + 1));
+    scope.z = min[2] + step[2] * k;
+    for (let j = 0; j <= ny; j++) {
+      scope.y = min[1] + step[1] * j;
+      for (let i = 0; i <= nx; i++) {
+        scope.x = min[0] + step[0] * i;
+        const value = F(scope);
+        if (!Number.isFinite(value)) invalidCount++;
+        values[n++] = value;
+      }
+    }
+  }
+
+  const { positions, indices } = marchingCubes(values, grid, (f) =>
+    onProgress("contouring", f)
+  );
+
+  onProgress("normals", 0);
+  const normals = new Float32Array(positions.length);
+  averageNormals(positions, indices, normals);
+  const gradient = ["x", "y", "z"].map((name, axis) =>
+    partialDerivative(F, name, step[axis] * 1e-3, job.variables)
+  );
+  const g = [0, 0, 0];
+  for (let i = 0; i < positions.length / 3; i++) {
+    scope.x = positions[i * 3];
+    scope.y = positions[i * 3 + 1];
+    scope.z = positions[i * 3 + 2];
+    for (let k = 0; k < 3; k++) g[k] = gradient[k](scope);
+    const len = Math.sqrt(dot(g, g));
+    if (!(len > 0 && Number.isFinite(len))) continue;
+    normals[i * 3] = g[0] / len;
+    normals[i * 3 + 1] = g[1] / len;
+    normals[i * 3 + 2] = g[2] / len;
+  }
+
+  return {
+    positions,
+    normals,
+    indices,
+    invalidCount,
+    grid: Uint32Array.of(nx, ny, nz),
+  };
+}
+
+// mesh data for a job of either kind
+function runMeshJob(job, onProgress) {
+  return job.kind === "implicit"
+    ? meshImplicit(job, onProgress)
+    : meshSurface(job, onProgress);
+}
+
+// the buffers of a meshSurface result, for transferring it to another thread
+function meshTransferables(result) {
+  return Object.values(result)
+    .filter((value) => ArrayBuffer.isView(value))
+    .map((value) => value.buffer);
+}
+
+export {
+  compileField,
+  sampleSurface,
+  isoLines,
+  surfaceTriangles,
+  averageNormals,
+  addTangentFields,
+  secondDerivativeFields,
+  applyExactNormals,
+  surfacePointEvaluator,
+  meshSurface,
+  meshImplicit,
+  runMeshJob,
+  meshTransferables,
+};
@@ -0,0 +1,447 @@
+// pathimport.js — curves from files for the Fourier tool: SVG path data
+// (lines, Bézier curves and elliptical arcs sampled into polylines, with
+// their transforms), CSV / JSON point lists and the outlines of the shapes
+// in an image. Curves are { points: [{ x, y }], closed }.
+
+// points per Bézier segment and per arc; the Fourier tool resamples by arc
+// length afterwards, so these only need to follow the shape
+const CURVE_SAMPLES = 24;
+const ARC_SAMPLES = 48;
+
+// --- SVG path data ---
+
+const COMMAND_RE = /[MmZzLlHhVvCcSsQqTtAa]/;
+const NUMBER_RE = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// split path data into [{ command, args }]; repeated argument groups become
+// separate entries (a repeated moveto is a lineto)
+function tokenizePathData(d) {
+  const commands = [];
+  let i = 0;
+  let current = null;
+
+  const skip = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+  const number = () => {
+    skip();
+    const m = NUMBER_RE.exec(d.slice(i));
+    if (!m) throw new Error(`bad path data near "${d.slice(i, i + 12)}"`);
+    i += m[0].length;
+    return parseFloat(m[0]);
+  };
+  // arc flags may be written without separators ("a1 1 0 00 1 1")
+  const flag = () => {
+    skip();
+    if (d[i] !== "0" && d[i] !== "1") throw new Error(`bad arc flag near "${d.slice(i, i + 12)}"`);
+    return Number(d[i++]);
+  };
+
+  skip();
+  while (i < d.length) {
+    if (COMMAND_RE.test(d[i])) {
+      current = d[i++];
+    } else if (!current) {
+      throw new Error("path data must start with a moveto");
+    }
+    const upper = current.toUpperCase();
+    const args = [];
+    for (let k = 0; k < PARAM_COUNTS[upper]; k++) {
+      args.push(upper === "A" && (k === 3 || k === 4) ? flag() : number());
+    }
+    commands.push({ command: current, args });
+    if (upper === "M") current = current === "M" ? "L" : "l";
+    if (upper === "Z") current = null;
+    skip();
+  }
+  return commands;
+}
+
+const bezier = (p0, p1, p2, p3, t) => {
+  const s = 1 - t;
+  return s * s * s * p0 + 3 * s * s * t * p1 + 3 * s * t * t * p2 + t * t * t * p3;
+};
+
+// points along an elliptical arc, following the endpoint-to-center
+// conversion of the SVG specification (implementation notes, F.6.5)
+function sampleArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0) return [{ x: x2, y: y2 }];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const xp = cos * dx + sin * dy;
+  const yp = -sin * dx + cos * dy;
+
+  // scale up radii that are too small to reach the end point
+  const lambda = (xp * xp) / (rx * rx) + (yp * yp) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * yp * yp - ry * ry * xp * xp;
+  const den = rx * rx * yp * yp + ry * ry * xp * xp;
+  let coef = Math.sqrt(Math.max(0, num / den));
+  if (largeArc === sweep) coef = -coef;
+  const cxp = (coef * rx * yp) / ry;
+  const cyp = (-coef * ry * xp) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (xp - cxp) / rx, (yp - cyp) / ry);
+  let delta = angle((xp - cxp) / rx, (yp - cyp) / ry, (-xp - cxp) / rx, (-yp - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const points = [];
+  for (let k = 1; k <= ARC_SAMPLES; k++) {
+    const t = theta1 + (delta * k) / ARC_SAMPLES;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push({ x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+  }
+  return points;
+}
+
+// Sample SVG path data into one curve per subpath, in SVG user units
+// (y pointing down). Subpaths ended by Z are closed.
+function samplePathData(d) {
+  const curves = [];
+  let curve = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let control = null; // reflected control point for S / T
+  let previous = "";
+
+  const lineTo = (px, py) => {
+    curve.points.push({ x: px, y: py });
+    x = px;
+    y = py;
+  };
+
+  for (const { command, args } of tokenizePathData(d)) {
+    const upper = command.toUpperCase();
+    const rel = command !== upper;
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+
+    if (upper === "M") {
+      x = ox + args[0];
+      y = oy + args[1];
+      startX = x;
+      startY = y;
+      curve = { points: [{ x, y }], closed: false };
+      curves.push(curve);
+      previous = upper;
+      continue;
+    }
+    if (!curve) {
+      // drawing after Z continues from the subpath's start
+      curve = { points: [{ x, y }], closed: false };
+      curves.push(curve);
+    }
+
+    switch (upper) {
+      case "Z":
+        curve.closed = true;
+        x = startX;
+        y = startY;
+        curve = null;
+        break;
+      case "L":
+        lineTo(ox + args[0], oy + args[1]);
+        break;
+      case "H":
+        lineTo(ox + args[0], y);
+        break;
+      case "V":
+        lineTo(x, oy + args[0]);
+        break;
+      case "C":
+      case "S":
+      case "Q":
+      case "T": {
+        let c1;
+        let c2;
+        let end;
+        if (upper === "C") {
+          c1 = [ox + args[0], oy + args[1]];
+          c2 = [ox + args[2], oy + args[3]];
+          end = [ox + args[4], oy + args[5]];
+        } else if (upper === "S") {
+          c1 = control && "CS".includes(previous) ? [2 * x - control[0], 2 * y - control[1]] : [x, y];
+          c2 = [ox + args[0], oy + args[1]];
+          end = [ox + args[2], oy + args[3]];
+        } else {
+          const q =
+            upper === "Q"
+              ? [ox + args[0], oy + args[1]]
+              : control && "QT".includes(previous)
+                ? [2 * x - control[0], 2 * y - control[1]]
+                : [x, y];
+          end = upper === "Q" ? [ox + args[2], oy + args[3]] : [ox + args[0], oy + args[1]];
+          // quadratic as cubic
+          c1 = [x + (2 / 3) * (q[0] - x), y + (2 / 3) * (q[1] - y)];
+          c2 = [end[0] + (2 / 3) * (q[0] - end[0]), end[1] + (2 / 3) * (q[1] - end[1])];
+          control = q;
+        }
+        if (upper === "C" || upper === "S") control = c2;
+        const [x0, y0] = [x, y];
+        for (let k = 1; k <= CURVE_SAMPLES; k++) {
+          const t = k / CURVE_SAMPLES;
+          curve.points.push({
+            x: bezier(x0, c1[0], c2[0], end[0], t),
+            y: bezier(y0, c1[1], c2[1], end[1], t),
+          });
+        }
+        x = end[0];
+        y = end[1];
+        break;
+      }
+      case "A": {
+        const [rx, ry, rotation, largeArc, sweep] = args;
+        const ex = ox + args[5];
+        const ey = oy + args[6];
+        curve.points.push(...sampleArc(x, y, rx, ry, rotation, largeArc, sweep, ex, ey));
+        x = ex;
+        y = ey;
+        break;
+      }
+    }
+    previous = upper;
+  }
+  return curves.filter((c) => c.points.length > 1);
+}
+
+// --- SVG transforms ---
+
+const TRANSFORM_RE = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+// [a, b, c, d, e, f] maps (x, y) to (a x + c y + e, b x + d y + f), as in SVG
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+
+function transformMatrix(name, args) {
+  const rad = ((args[0] || 0) * Math.PI) / 180;
+  switch (name) {
+    case "matrix":
+      if (args.length !== 6) throw new Error("matrix() takes six numbers");
+      return args;
+    case "translate":
+      return [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    case "scale":
+      return [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+    case "rotate": {
+      const turn = [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0];
+      if (args.length < 3) return turn;
+      // about (cx, cy)
+      const [, cx, cy] = args;
+      return multiply(multiply([1, 0, 0, 1, cx, cy], turn), [1, 0, 0, 1, -cx, -cy]);
+    }
+    case "skewX":
+      return [1, 0, Math.tan(rad), 1, 0, 0];
+    default:
+      return [1, Math.tan(rad), 0, 1, 0, 0];
+  }
+}
+
+// the matrix of an SVG transform list such as "translate(10 5) scale(2)";
+// the rightmost transform applies first
+function parseTransform(text) {
+  let m = [1, 0, 0, 1, 0, 0];
+  for (const [, name, list] of (text || "").matchAll(TRANSFORM_RE)) {
+    const args = list.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (!args.length || args.some((a) => !Number.isFinite(a))) {
+      throw new Error(`bad transform "${name}(${list.trim()})"`);
+    }
+    m = multiply(m, transformMatrix(name, args));
+  }
+  const rest = (text || "").replace(TRANSFORM_RE, "").replace(/[\s,]+/g, "");
+  if (rest) throw new Error(`bad transform "${rest}"`);
+  return m;
+}
+
+function transformCurves(curves, m) {
+  return curves.map((curve) => ({
+    ...curve,
+    points: curve.points.map(({ x, y }) => ({
+      x: m[0] * x + m[2] * y + m[4],
+      y: m[1] * x + m[3] * y + m[5],
+    })),
+  }));
+}
+
+// --- Point lists ---
+
+// CSV / text: one "x, y" pair per line (commas, semicolons or spaces);
+// blank lines separate curves, lines that don't start with a number (such
+// as a header) are skipped
+function parsePointsCsv(text) {
+  const curves = [];
+  let points = [];
+  const flush = () => {
+    if (points.length > 1) curves.push({ points, closed: false });
+    points = [];
+  };
+  text.split(/\r?\n/).forEach((line) => {
+    const fields = line.trim().split(/[\s,;]+/).filter(Boolean);
+    if (!fields.length) {
+      flush();
+      return;
+    }
+    const [x, y] = fields.map(Number);
+    if (Number.isFinite(x) && Number.isFinite(y)) points.push({ x, y });
+  });
+  flush();
+  return curves;
+}
+
+// JSON: a list of points ([x, y] or { x, y }), a list of such lists, or
+// { curves: [...] } / { points: [...] }
+function parsePointsJson(data) {
+  const toPoint = (p) => {
+    const point = Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p && p.x, y: p && p.y };
+    if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+      throw new Error(`invalid point ${JSON.stringify(p)}`);
+    }
+    return point;
+  };
+  const isPoint = (p) => (Array.isArray(p) ? typeof p[0] === "number" : p && "x" in p);
+
+  let lists;
+  if (data && Array.isArray(data.curves)) lists = data.curves;
+  else if (data && Array.isArray(data.points)) lists = [data.points];
+  else if (Array.isArray(data) && data.length && isPoint(data[0])) lists = [data];
+  else if (Array.isArray(data)) lists = data;
+  else throw new Error("expected a list of points");
+
+  return lists
+    .map((list) => {
+      const points = Array.isArray(list) ? list : list && list.points;
+      if (!Array.isArray(points)) throw new Error("expected a list of points");
+      return { points: points.map(toPoint), closed: !!(list && list.closed) };
+    })
+    .filter((c) => c.points.length > 1);
+}
+
+// --- Image outlines ---
+
+// shapes smaller than this share of the image are specks, and at most
+// MAX_SHAPES of the largest shapes are traced
+const MIN_SHAPE_SHARE = 0.002;
+const MAX_SHAPES = 8;
+
+// the 8 neighbours of a pixel, clockwise on screen (y down) from the east
+const NEIGHBOURS = [
+  [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1],
+];
+
+// Moore-neighbour tracing of the outer boundary of the shape containing
+// (sx, sy), its topmost-leftmost pixel, so that its west neighbour is
+// outside. The trace ends when it would leave the start pixel the way it
+// first did.
+function traceBoundary(inside, width, height, sx, sy) {
+  const at = (x, y) => x >= 0 && y >= 0 && x < width && y < height && inside[y * width + x];
+  const direction = (dx, dy) => NEIGHBOURS.findIndex(([nx, ny]) => nx === dx && ny === dy);
+  const points = [{ x: sx, y: sy }];
+  let x = sx;
+  let y = sy;
+  let back = 4;
+  let first = -1;
+  for (let steps = 0; steps < 4 * width * height; steps++) {
+    let k = 1;
+    while (k < 8 && !at(x + NEIGHBOURS[(back + k) % 8][0], y + NEIGHBOURS[(back + k) % 8][1])) {
+      k++;
+    }
+    if (k === 8) break; // a lone pixel
+    const move = (back + k) % 8;
+    if (x === sx && y === sy) {
+      if (move === first) break;
+      if (first < 0) first = move;
+    }
+    const [dx, dy] = NEIGHBOURS[move];
+    const [px, py] = NEIGHBOURS[(back + k - 1) % 8];
+    x += dx;
+    y += dy;
+    // the last neighbour checked, seen from the new pixel
+    back = direction(px - dx, py - dy);
+    points.push({ x, y });
+  }
+  // the start pixel closes the loop
+  points.pop();
+  return points;
+}
+
+// Closed outlines of the shapes in an image ({ width, height, data } as
+// from getImageData), largest first, in pixels with y pointing down. The
+// shapes are the opaque pixels of an image with transparency, else the
+// dark ones.
+function traceImageOutlines({ width, height, data }) {
+  const count = width * height;
+  let transparent = false;
+  for (let i = 0; i < count && !transparent; i++) transparent = data[i * 4 + 3] < 128;
+  const inside = new Uint8Array(count);
+  for (let i = 0; i < count; i++) {
+    const [r, g, b, a] = data.subarray(i * 4, i * 4 + 4);
+    inside[i] = a >= 128 && (transparent || 0.299 * r + 0.587 * g + 0.114 * b < 128) ? 1 : 0;
+  }
+
+  // label the 8-connected shapes, remembering each one's first pixel
+  const label = new Int32Array(count);
+  const shapes = [];
+  for (let start = 0; start < count; start++) {
+    if (!inside[start] || label[start]) continue;
+    const id = shapes.length + 1;
+    const stack = [start];
+    label[start] = id;
+    let size = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      size++;
+      const x = i % width;
+      const y = (i - x) / width;
+      for (const [dx, dy] of NEIGHBOURS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        const n = ny * width + nx;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height || !inside[n] || label[n]) continue;
+        label[n] = id;
+        stack.push(n);
+      }
+    }
+    shapes.push({ start, size });
+  }
+
+  return shapes
+    .filter((shape) => shape.size >= Math.max(4, MIN_SHAPE_SHARE * count))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, MAX_SHAPES)
+    .map(({ start }) => ({
+      points: traceBoundary(inside, width, height, start % width, Math.floor(start / width)),
+      closed: true,
+    }))
+    .filter((c) => c.points.length > 1);
+}
+
+export {
+  samplePathData,
+  parseTransform,
+  transformCurves,
+  parsePointsCsv,
+  parsePointsJson,
+  traceImageOutlines,
+};
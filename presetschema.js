@@ -0,0 +1,344 @@
+// presetschema.js — the preset file format: a validator that lists every
+// problem in a preset, and the chain of migrations that brings presets
+// written by older versions up to the current one.
+//
+// Versions:
+//   1 — a single surface at the top level (x, y, z, bounds and steps);
+//       later files also carried layers in `presets`, parameters and the
+//       t range, loosely typed
+//   2 — a scene: layers (with their colors and display options) in
+//       `presets`, parameters and the t range at the top level
+//   3 — adds the optional `view`: camera, time and display toggles
+//   4 — adds grid lines and textures to the layers
+
+import { COLORMAPS } from "./colormap.js";
+import { COORDINATE_MODES } from "./coordinates.js";
+import { isReservedName } from "./expr.js";
+
+const PRESET_TYPE = "paramSurfacePreset";
+const PRESET_VERSION = 4;
+
+// largest u / v step count any mode accepts (space curves)
+const MAX_STEPS = 100000;
+
+const MODES = ["parametric", "curve", "implicit", ...Object.keys(COORDINATE_MODES)];
+const COLOR_MODES = [
+  "solid", "height", "u", "v", "normal", "gaussian", "mean", "k1", "k2", "custom",
+];
+
+const PARAM_NAME_RE = /^[A-Za-z_\u0370-\u03ff][A-Za-z0-9_\u0370-\u03ff]*$/;
+// the surface variables, and x, y, z of the color expression
+const RESERVED_VARIABLES = ["u", "v", "t", "x", "y", "z"];
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+// short description of a bad value for messages
+function describe(value) {
+  if (value === undefined) return "nothing";
+  const text = JSON.stringify(value);
+  return text.length > 30 ? `${text.slice(0, 27)}...` : text;
+}
+
+// --- Rules: each returns an error message, or null when the value fits ---
+
+const text = (v) => (typeof v === "string" ? null : `expected text, got ${describe(v)}`);
+
+const boolean = (v) =>
+  typeof v === "boolean" ? null : `expected true or false, got ${describe(v)}`;
+
+const oneOf = (values) => (v) =>
+  values.includes(v)
+    ? null
+    : `expected one of ${values.map((x) => `"${x}"`).join(", ")}, got ${describe(v)}`;
+
+const integer = (min, max) => (v) =>
+  Number.isInteger(v) && v >= min && v <= max
+    ? null
+    : `expected a whole number from ${min} to ${max}, got ${describe(v)}`;
+
+const number = (check = () => true, range = "a number") => (v) =>
+  typeof v === "number" && Number.isFinite(v) && check(v)
+    ? null
+    : `expected ${range}, got ${describe(v)}`;
+
+const color = (v) =>
+  typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v)
+    ? null
+    : `expected a color like "#60a5fa", got ${describe(v)}`;
+
+const vector = (v) =>
+  Array.isArray(v) && v.length === 3 && v.every((c) => typeof c === "number" && Number.isFinite(c))
+    ? null
+    : `expected three numbers [x, y, z], got ${describe(v)}`;
+
+const list = (v) => (Array.isArray(v) ? null : `expected a list, got ${describe(v)}`);
+
+const object = (v) => (isPlainObject(v) ? null : `expected an object, got ${describe(v)}`);
+
+// --- Schemas ---
+
+const LAYER_SCHEMA = {
+  name: text,
+  mode: oneOf(MODES),
+  x: text,
+  y: text,
+  z: text,
+  uMin: text,
+  uMax: text,
+  vMin: text,
+  vMax: text,
+  uSteps: integer(4, MAX_STEPS),
+  vSteps: integer(4, MAX_STEPS),
+  f: text,
+  xMin: text,
+  xMax: text,
+  yMin: text,
+  yMax: text,
+  zMin: text,
+  zMax: text,
+  implicitResolution: integer(4, 200),
+  color,
+  wireframe: boolean,
+  visible: boolean,
+  colorMode: oneOf(COLOR_MODES),
+  colormap: oneOf(Object.keys(COLORMAPS)),
+  colorExpr: text,
+  colorRangeAuto: boolean,
+  colorMin: number(),
+  colorMax: number(),
+  invalidMode: oneOf(["skip", "error"]),
+  clampValues: boolean,
+  clampMin: number(),
+  clampMax: number(),
+  outlineHoles: boolean,
+  meshMode: oneOf(["grid", "adaptive"]),
+  meshTolerance: number((v) => v > 0 && v < 1, "a number between 0 and 1"),
+  maxTriangles: integer(100, 1000000),
+  curveStyle: oneOf(["tube", "line"]),
+  tubeRadius: number((v) => v > 0, "a positive number"),
+  curveFrame: oneOf(["rmf", "frenet"]),
+  showFrame: boolean,
+  framePoint: number((v) => v >= 0 && v <= 1, "a number from 0 to 1"),
+  isoLines: boolean,
+  isoUSpacing: text,
+  isoVSpacing: text,
+  texture: oneOf(["none", "checker", "grid", "image"]),
+  textureRepeat: integer(1, 64),
+};
+
+const PARAM_SCHEMA = {
+  name: text,
+  min: number(),
+  max: number(),
+  step: number((v) => v > 0, "a positive number"),
+  value: number(),
+};
+
+const VIEW_SCHEMA = {
+  camera: vector,
+  target: vector,
+  t: number(),
+  selected: integer(-1, Number.MAX_SAFE_INTEGER),
+  glyphs: boolean,
+  singular: boolean,
+};
+
+const PRESET_SCHEMA = {
+  type: oneOf([PRESET_TYPE]),
+  version: integer(PRESET_VERSION, PRESET_VERSION),
+  name: text,
+  params: list,
+  tMin: text,
+  tMax: text,
+  tSpeed: number(),
+  presets: list,
+  view: object,
+};
+
+// the fields a layer cannot do without in its mode
+function requiredLayerKeys(mode) {
+  if (mode === "implicit") return ["f"];
+  const coordinates = COORDINATE_MODES[mode];
+  const inputs = coordinates ? Object.keys(coordinates.inputs) : ["x", "y", "z"];
+  return [...inputs, "uMin", "uMax", ...(mode === "curve" ? [] : ["vMin", "vMax"])];
+}
+
+// check the keys of `value` against `schema`, adding "path: message"
+// entries to `problems`; null leaves a field at its default
+function checkObject(path, value, schema, required, problems) {
+  const where = (key) => (path ? `${path}.${key}` : key);
+  if (!isPlainObject(value)) {
+    problems.push(`${path || "preset"}: expected an object, got ${describe(value)}`);
+    return false;
+  }
+  Object.entries(value).forEach(([key, v]) => {
+    if (v === null) return;
+    const rule = schema[key];
+    const message = rule ? rule(v) : "unknown key";
+    if (message) problems.push(`${where(key)}: ${message}`);
+  });
+  required.forEach((key) => {
+    if (value[key] == null) problems.push(`${where(key)}: missing`);
+  });
+  return true;
+}
+
+// what is wrong with a parameter name (without its uniqueness), or ""
+function paramNameProblem(name) {
+  if (!name) return "a parameter needs a name";
+  if (!PARAM_NAME_RE.test(name)) return `"${name}" is not a valid parameter name`;
+  if (RESERVED_VARIABLES.includes(name)) return `"${name}" is already a surface variable`;
+  if (isReservedName(name)) return `"${name}" is a built-in function or constant`;
+  return "";
+}
+
+// the rules of the parameter editor: a usable name not taken by an earlier
+// parameter (`names` maps the names seen to their index) and a value
+// inside [min, max]
+function checkParam(i, param, names, problems) {
+  const path = `params[${i}]`;
+  const { name, min, max, value } = param;
+  if (typeof name === "string") {
+    const problem = paramNameProblem(name);
+    if (problem) {
+      problems.push(`${path}.name: ${problem}`);
+    } else if (names.has(name)) {
+      problems.push(`${path}.name: "${name}" is taken by params[${names.get(name)}]`);
+    } else {
+      names.set(name, i);
+    }
+  }
+  if (isNumber(min) && isNumber(max) && min > max) {
+    problems.push(`${path}: min ${min} is greater than max ${max}`);
+  }
+  if (isNumber(value) && isNumber(min) && value < min) {
+    problems.push(`${path}.value: ${value} is below min ${min}`);
+  }
+  if (isNumber(value) && isNumber(max) && value > max) {
+    problems.push(`${path}.value: ${value} is above max ${max}`);
+  }
+}
+
+// every problem of a current-version preset, as "path: message" strings
+function validatePreset(preset) {
+  const problems = [];
+  if (!checkObject("", preset, PRESET_SCHEMA, ["type", "version", "presets"], problems)) {
+    return problems;
+  }
+
+  if (Array.isArray(preset.presets)) {
+    if (!preset.presets.length) problems.push("presets: expected at least one layer");
+    preset.presets.forEach((layer, i) => {
+      const mode = isPlainObject(layer) && MODES.includes(layer.mode) ? layer.mode : "parametric";
+      checkObject(`presets[${i}]`, layer, LAYER_SCHEMA, requiredLayerKeys(mode), problems);
+    });
+  }
+  if (Array.isArray(preset.params)) {
+    const names = new Map();
+    preset.params.forEach((param, i) => {
+      if (checkObject(`params[${i}]`, param, PARAM_SCHEMA, ["name"], problems)) {
+        checkParam(i, param, names, problems);
+      }
+    });
+  }
+  if (isPlainObject(preset.view)) {
+    checkObject("view", preset.view, VIEW_SCHEMA, [], problems);
+    const count = Array.isArray(preset.presets) ? preset.presets.length : 0;
+    if (Number.isInteger(preset.view.selected) && preset.view.selected >= count) {
+      problems.push(`view.selected: there is no layer ${preset.view.selected}`);
+    }
+  }
+  return problems;
+}
+
+// --- Migrations ---
+
+const BOUND_KEYS = [
+  "uMin", "uMax", "vMin", "vMax", "xMin", "xMax", "yMin", "yMax", "zMin", "zMax",
+];
+const STEP_KEYS = ["uSteps", "vSteps", "implicitResolution", "maxTriangles"];
+
+// version 1 allowed numbers for bounds and numeric text for step counts,
+// and parameters on the layers (moved to the scene by the migration)
+function coerceV1Layer(layer) {
+  if (!isPlainObject(layer)) return layer;
+  const out = { ...layer };
+  delete out.params;
+  BOUND_KEYS.forEach((key) => {
+    if (typeof out[key] === "number") out[key] = String(out[key]);
+  });
+  STEP_KEYS.forEach((key) => {
+    if (typeof out[key] === "string" && /^\s*\d+\s*$/.test(out[key])) out[key] = Number(out[key]);
+  });
+  return out;
+}
+
+// MIGRATIONS[n] turns a version n preset into version n + 1
+const MIGRATIONS = {
+  1: (preset) => {
+    const { type, version, name, params, tMin, tMax, tSpeed, presets, view, ...rest } = preset;
+    // a lone surface becomes the only layer; it keeps the preset's name
+    const scene = Array.isArray(presets);
+    const layers = scene ? presets : [{ ...rest, ...(name === undefined ? {} : { name }) }];
+    // parameters could also sit on the layers; they are shared by the scene
+    const sceneParams = Array.isArray(params) ? [...params] : [];
+    layers.forEach((layer) => {
+      if (!isPlainObject(layer) || !Array.isArray(layer.params)) return;
+      layer.params.forEach((p) => {
+        const same = sceneParams.findIndex((q) => q && p && q.name === p.name);
+        if (same >= 0) sceneParams[same] = p;
+        else sceneParams.push(p);
+      });
+    });
+    const out = {
+      ...(scene ? rest : {}),
+      type,
+      version: 2,
+      ...(name === undefined ? {} : { name }),
+      params: params === undefined || Array.isArray(params) ? sceneParams : params,
+      tMin: typeof tMin === "number" ? String(tMin) : (tMin ?? "0"),
+      tMax: typeof tMax === "number" ? String(tMax) : (tMax ?? "2 * pi"),
+      tSpeed: tSpeed ?? 1,
+      presets: layers.map(coerceV1Layer),
+    };
+    // links shared before version 3 already carried a view
+    if (view !== undefined) out.view = view;
+    return out;
+  },
+  // the view is optional, so version 2 presets are valid version 3 ones
+  2: (preset) => ({ ...preset, version: 3 }),
+  // so are the grid line and texture fields
+  3: (preset) => ({ ...preset, version: 4 }),
+};
+
+// Check the type and version markers, migrate to the current version and
+// validate. Returns { preset, problems }; `preset` is null when there are
+// problems.
+function readPreset(data) {
+  if (!isPlainObject(data)) {
+    return { preset: null, problems: [`preset: expected an object, got ${describe(data)}`] };
+  }
+  const problems = [];
+  if (data.type !== PRESET_TYPE) {
+    problems.push(`type: expected "${PRESET_TYPE}", got ${describe(data.type)}`);
+  }
+  const { version } = data;
+  if (!Number.isInteger(version) || version < 1) {
+    problems.push(
+      `version: expected a version from 1 to ${PRESET_VERSION}, got ${describe(version)}`
+    );
+  } else if (version > PRESET_VERSION) {
+    problems.push(
+      `version: ${version} is newer than this app reads (up to ${PRESET_VERSION})`
+    );
+  }
+  if (problems.length) return { preset: null, problems };
+
+  let preset = data;
+  for (let v = version; v < PRESET_VERSION; v++) preset = MIGRATIONS[v](preset);
+  const invalid = validatePreset(preset);
+  return invalid.length ? { preset: null, problems: invalid } : { preset, problems: [] };
+}
+
+export { PRESET_TYPE, PRESET_VERSION, paramNameProblem, validatePreset, readPreset };
@@ -0,0 +1,55 @@
+// sharelink.js — scene state in the URL hash. The state is JSON, deflated
+// and base64url-encoded as "s=…"; browsers without CompressionStream write
+// the plain JSON base64url-encoded as "j=…". Both forms decode anywhere
+// they can be written.
+
+// longer links are cut off by some browsers, chat apps and servers
+const MAX_LINK_LENGTH = 8000;
+
+const canCompress = () =>
+  typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+// run bytes through a (de)compression stream
+async function pipeBytes(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+// state → hash text (without "#")
+async function encodeState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  if (!canCompress()) return `j=${toBase64Url(bytes)}`;
+  return `s=${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate")))}`;
+}
+
+// hash text (with or without "#") → state, or null when the hash holds no
+// state; throws when it is damaged
+async function decodeState(hash) {
+  const match = /^#?([sj])=([A-Za-z0-9_-]+)$/.exec(hash);
+  if (!match) return null;
+  let bytes = fromBase64Url(match[2]);
+  if (match[1] === "s") {
+    if (!canCompress()) throw new Error("this browser cannot decompress the link");
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate"));
+  }
+  const state = JSON.parse(new TextDecoder().decode(bytes));
+  if (!state || typeof state !== "object") throw new Error("the link holds no surface");
+  return state;
+}
+
+const hasState = (hash) => /^#?[sj]=/.test(hash);
+
+export { MAX_LINK_LENGTH, encodeState, decodeState, hasState };
@@ -0,0 +1,25 @@
+// surface-worker.js — builds surface meshes off the main thread.
+// Receives { id, job } (see meshSurface and meshImplicit) and answers with
+//   { id, type: "progress", stage, fraction } while working, then
+//   { id, type: "done", result } with the buffers transferred, or
+//   { id, type: "error", message, snippet }.
+// The page cancels a job by terminating the worker.
+
+import { meshTransferables, runMeshJob } from "./mesher.js";
+
+self.onmessage = (e) => {
+  const { id, job } = e.data;
+  try {
+    const result = runMeshJob(job, (stage, fraction) =>
+      self.postMessage({ id, type: "progress", stage, fraction })
+    );
+    self.postMessage({ id, type: "done", result }, meshTransferables(result));
+  } catch (err) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: err.message,
+      snippet: err.snippet || "",
+    });
+  }
+};
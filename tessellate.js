@@ -0,0 +1,338 @@
+// tessellate.js — triangulations of the (u, v) parameter domain: the
+// uniform grid, and an adaptive quadtree refined where the surface bends
+// or stretches.
+//
+// Both return { coords, uvs, indices }: raw (u, v) pairs (Float64Array),
+// texture coordinates normalized to [0, 1] (Float32Array) and triangles
+// (Uint32Array), wound counter-clockwise in (u, v) so that their normal
+// points along r_u × r_v.
+
+function gridTessellation({ uMin, uMax, vMin, vMax, uSteps, vSteps }) {
+  const uCount = uSteps + 1;
+  const vCount = vSteps + 1;
+
+  const coords = new Float64Array(uCount * vCount * 2);
+  const uvs = new Float32Array(uCount * vCount * 2);
+  let k = 0;
+  for (let i = 0; i < uCount; i++) {
+    for (let j = 0; j < vCount; j++) {
+      coords[k] = uMin + ((uMax - uMin) * i) / uSteps;
+      coords[k + 1] = vMin + ((vMax - vMin) * j) / vSteps;
+      uvs[k++] = i / uSteps;
+      uvs[k++] = j / vSteps;
+    }
+  }
+
+  const indices = new Uint32Array(uSteps * vSteps * 6);
+  k = 0;
+  for (let i = 0; i < uSteps; i++) {
+    for (let j = 0; j < vSteps; j++) {
+      const a = i * vCount + j;
+      const b = (i + 1) * vCount + j;
+      const c = (i + 1) * vCount + (j + 1);
+      const d = i * vCount + (j + 1);
+
+      indices.set([a, b, d, b, c, d], k);
+      k += 6;
+    }
+  }
+  return { coords, uvs, indices };
+}
+
+// --- Adaptive quadtree ---
+
+// each base grid cell can be halved this many times
+const MAX_DEPTH = 10;
+
+// binary max-heap of cells by refinement score
+function heapPush(heap, cell) {
+  heap.push(cell);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].score >= cell.score) break;
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = cell;
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1;
+      if (l >= heap.length) break;
+      const child = l + 1 < heap.length && heap[l + 1].score > heap[l].score ? l + 1 : l;
+      if (heap[child].score <= last.score) break;
+      heap[i] = heap[child];
+      i = child;
+    }
+    heap[i] = last;
+  }
+  return top;
+}
+
+const distance = (a, b) =>
+  Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+const midpoint = (a, b) => [
+  (a[0] + b[0]) / 2,
+  (a[1] + b[1]) / 2,
+  (a[2] + b[2]) / 2,
+];
+
+// Refine the uSteps × vSteps base grid, always splitting the cell that
+// deviates most from flat, until every cell is within tolerance or the
+// triangle budget is used up.
+//
+// `evalPoint(u, v, out)` writes r(u, v) into out[0..2]. A cell's score is
+// the larger of its chord error (midpoints of the cell and its edges
+// against the bilinear patch through its corners) in units of
+// tolerance × surface size, and its longest edge against the length at
+// which a curve of radius `size` would reach that chord error. Cells that
+// straddle invalid (NaN) samples are refined a few levels to trace the
+// hole's edge.
+//
+// Neighbouring cells may end up at different depths; a cell with extra
+// vertices on its edges is fanned from its center, so the mesh has no
+// T-junctions (cracks).
+function adaptiveTessellation(
+  evalPoint,
+  { uMin, uMax, vMin, vMax, uSteps, vSteps },
+  { tolerance = 0.001, maxTriangles = 60000 } = {}
+) {
+  const n = 2 ** MAX_DEPTH;
+  const uLattice = uSteps * n;
+  const vLattice = vSteps * n;
+  const key = (i, j) => i * (vLattice + 1) + j;
+
+  const samples = new Map();
+  const sample = (i, j) => {
+    const k = key(i, j);
+    let p = samples.get(k);
+    if (p === undefined) {
+      const out = [0, 0, 0];
+      evalPoint(
+        uMin + ((uMax - uMin) * i) / uLattice,
+        vMin + ((vMax - vMin) * j) / vLattice,
+        out
+      );
+      p = out.every(Number.isFinite) ? out : null;
+      samples.set(k, p);
+    }
+    return p;
+  };
+
+  // surface size from the base grid
+  const lo = [Infinity, Infinity, Infinity];
+  const hi = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i <= uSteps; i++) {
+    for (let j = 0; j <= vSteps; j++) {
+      const p = sample(i * n, j * n);
+      if (!p) continue;
+      for (let k = 0; k < 3; k++) {
+        lo[k] = Math.min(lo[k], p[k]);
+        hi[k] = Math.max(hi[k], p[k]);
+      }
+    }
+  }
+  const size = distance(lo, hi) || 1;
+  const maxError = tolerance * size;
+  const maxEdge = Math.sqrt(8 * tolerance) * size;
+
+  const score = (i, j, s) => {
+    if (s < 2) return 0;
+    const h = s / 2;
+    const c00 = sample(i, j);
+    const c10 = sample(i + s, j);
+    const c11 = sample(i + s, j + s);
+    const c01 = sample(i, j + s);
+    const points = [
+      c00, c10, c11, c01,
+      sample(i + h, j + h),
+      sample(i + h, j),
+      sample(i + s, j + h),
+      sample(i + h, j + s),
+      sample(i, j + h),
+    ];
+    const invalid = points.filter((p) => !p).length;
+    if (invalid === points.length) return 0;
+    if (invalid) return s > n / 64 ? 4 : 0;
+
+    const [, , , , m, e0, e1, e2, e3] = points;
+    const error = Math.max(
+      distance(m, midpoint(midpoint(c00, c11), midpoint(c10, c01))),
+      distance(e0, midpoint(c00, c10)),
+      distance(e1, midpoint(c10, c11)),
+      distance(e2, midpoint(c11, c01)),
+      distance(e3, midpoint(c01, c00))
+    );
+    const edge = Math.max(
+      distance(c00, c10),
+      distance(c10, c11),
+      distance(c11, c01),
+      distance(c01, c00)
+    );
+    return Math.max(error / maxError, edge / maxEdge);
+  };
+
+  // corners of the cells so far; splitting a cell only ever adds some
+  const corners = new Set();
+  // the leaf cells by their (i, j) corner, with `fan`: the vertices that
+  // finer neighbours put on their edges
+  const leaves = new Map();
+  const cells = [];
+  for (let i = 0; i < uSteps; i++) {
+    for (let j = 0; j < vSteps; j++) {
+      const cell = { i: i * n, j: j * n, s: n, fan: 0 };
+      cell.score = score(cell.i, cell.j, cell.s);
+      heapPush(cells, cell);
+      leaves.set(key(cell.i, cell.j), cell);
+    }
+  }
+  for (let i = 0; i <= uSteps; i++) {
+    for (let j = 0; j <= vSteps; j++) corners.add(key(i * n, j * n));
+  }
+
+  // a leaf is two triangles, or fanned from its center into one per
+  // vertex around it when a finer neighbour puts vertices on its edges
+  const leafTriangles = (fan) => (fan ? 4 + fan : 2);
+
+  // corners strictly inside edge (i0, j0)–(i1, j1)
+  const edgeCorners = (i0, j0, i1, j1) => {
+    if (Math.abs(i1 - i0) + Math.abs(j1 - j0) < 2) return 0;
+    const im = (i0 + i1) / 2;
+    const jm = (j0 + j1) / 2;
+    if (!corners.has(key(im, jm))) return 0;
+    return 1 + edgeCorners(i0, j0, im, jm) + edgeCorners(im, jm, i1, j1);
+  };
+  const fanCount = ({ i, j, s }) =>
+    edgeCorners(i, j, i + s, j) +
+    edgeCorners(i + s, j, i + s, j + s) +
+    edgeCorners(i + s, j + s, i, j + s) +
+    edgeCorners(i, j + s, i, j);
+
+  // the leaf of size `s` or larger covering lattice square (i, j), if any
+  const leafAt = (i, j, s) => {
+    if (i < 0 || j < 0 || i >= uLattice || j >= vLattice) return null;
+    for (let size = s; size <= n; size *= 2) {
+      const cell = leaves.get(key(i - (i % size), j - (j % size)));
+      if (cell && cell.s === size) return cell;
+    }
+    return null;
+  };
+
+  // Split the top cell unless that takes the mesh over the budget: its
+  // edge midpoints fan the neighbours across them, if no finer neighbour
+  // has put a vertex there already.
+  let triangleCount = uSteps * vSteps * 2;
+  while (cells.length && cells[0].score > 1) {
+    const cell = cells[0];
+    const { i, j, s } = cell;
+    const h = s / 2;
+    const added = [
+      [i + h, j, i + h, j - 1],
+      [i + s, j + h, i + s, j + h],
+      [i + h, j + s, i + h, j + s],
+      [i, j + h, i - 1, j + h],
+    ]
+      .filter(([mi, mj]) => !corners.has(key(mi, mj)))
+      .map(([mi, mj, ni, nj]) => ({ k: key(mi, mj), neighbour: leafAt(ni, nj, s) }));
+    added.forEach(({ k }) => corners.add(k));
+    corners.add(key(i + h, j + h));
+
+    const children = [[0, 0], [h, 0], [0, h], [h, h]].map(([di, dj]) => {
+      const child = { i: i + di, j: j + dj, s: h };
+      child.fan = fanCount(child);
+      return child;
+    });
+    let change = -leafTriangles(cell.fan);
+    children.forEach((child) => (change += leafTriangles(child.fan)));
+    added.forEach(({ neighbour }) => {
+      if (neighbour) change += neighbour.fan ? 1 : 3;
+    });
+    if (triangleCount + change > maxTriangles) {
+      added.forEach(({ k }) => corners.delete(k));
+      corners.delete(key(i + h, j + h));
+      break;
+    }
+
+    triangleCount += change;
+    heapPop(cells);
+    added.forEach(({ neighbour }) => {
+      if (neighbour) neighbour.fan++;
+    });
+    children.forEach((child) => {
+      child.score = score(child.i, child.j, h);
+      heapPush(cells, child);
+      leaves.set(key(child.i, child.j), child);
+    });
+  }
+
+  // --- Triangulation ---
+
+  const vertexIndex = new Map();
+  const lattice = [];
+  const vertex = (i, j) => {
+    const k = key(i, j);
+    let index = vertexIndex.get(k);
+    if (index === undefined) {
+      index = lattice.length / 2;
+      vertexIndex.set(k, index);
+      lattice.push(i, j);
+    }
+    return index;
+  };
+
+  // vertices of finer neighbours lying strictly inside edge (a, b)
+  const edgeVertices = (i0, j0, i1, j1, out) => {
+    if (Math.abs(i1 - i0) + Math.abs(j1 - j0) < 2) return out;
+    const im = (i0 + i1) / 2;
+    const jm = (j0 + j1) / 2;
+    if (!corners.has(key(im, jm))) return out;
+    edgeVertices(i0, j0, im, jm, out);
+    out.push(vertex(im, jm));
+    edgeVertices(im, jm, i1, j1, out);
+    return out;
+  };
+
+  const triangles = [];
+  cells.forEach(({ i, j, s }) => {
+    const a = vertex(i, j);
+    const b = vertex(i + s, j);
+    const c = vertex(i + s, j + s);
+    const d = vertex(i, j + s);
+    const ring = [
+      a, ...edgeVertices(i, j, i + s, j, []),
+      b, ...edgeVertices(i + s, j, i + s, j + s, []),
+      c, ...edgeVertices(i + s, j + s, i, j + s, []),
+      d, ...edgeVertices(i, j + s, i, j, []),
+    ];
+    if (ring.length === 4) {
+      triangles.push(a, b, d, b, c, d);
+      return;
+    }
+    const center = vertex(i + s / 2, j + s / 2);
+    for (let k = 0; k < ring.length; k++) {
+      triangles.push(center, ring[k], ring[(k + 1) % ring.length]);
+    }
+  });
+
+  const count = lattice.length / 2;
+  const coords = new Float64Array(count * 2);
+  const uvs = new Float32Array(count * 2);
+  for (let k = 0; k < count; k++) {
+    const tu = lattice[k * 2] / uLattice;
+    const tv = lattice[k * 2 + 1] / vLattice;
+    coords[k * 2] = uMin + (uMax - uMin) * tu;
+    coords[k * 2 + 1] = vMin + (vMax - vMin) * tv;
+    uvs[k * 2] = tu;
+    uvs[k * 2 + 1] = tv;
+  }
+  return { coords, uvs, indices: new Uint32Array(triangles) };
+}
+
+export { gridTessellation, adaptiveTessellation };